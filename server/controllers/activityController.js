@@ -1,16 +1,41 @@
+const mongoose = require('mongoose');
 const Activity = require('../models/Activity');
 const Client = require('../models/Client');
+const Contact = require('../models/Contact');
 const { validationResult } = require('express-validator');
+const { getClientScope, applyClientScope, visibleClientStages } = require('../utils/clientScope');
+const { findCursorPage, wantsCursorPagination } = require('../utils/cursorPagination');
+
+// Fields the activity list can be paged through with a cursor
+const ACTIVITY_SORT_FIELDS = ['createdAt', 'type'];
+
+// Related records shown with each activity in the list
+const ACTIVITY_LIST_POPULATE = [
+  { path: 'userId', select: 'name email role' },
+  { path: 'impersonatedBy', select: 'name email' },
+  { path: 'clientId', select: 'name email contactStatus' },
+  { path: 'contactId', select: 'name title email phone role' }
+];
 
 // List all activities with filtering
 const listActivities = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
       page = 1,
       pageSize = 50,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       clientId,
+      contactId,
       userId,
       type,
       startDate,
@@ -23,6 +48,11 @@ const listActivities = async (req, res) => {
     if (clientId) {
       query.clientId = clientId;
     }
+
+    // The list is read with aggregate, which doesn't cast filter values
+    if (contactId) {
+      query.contactId = new mongoose.Types.ObjectId(contactId);
+    }
     
     if (userId) {
       query.userId = userId;
@@ -42,21 +72,51 @@ const listActivities = async (req, res) => {
       }
     }
 
-    // Calculate pagination
+    // Only include activities on clients the user can see (trashed clients are not visible)
+    const clientStages = visibleClientStages(await getClientScope(req.user));
+
     const limit = parseInt(pageSize);
+
+    // Cursor mode: keyset pages, total count only on request
+    if (wantsCursorPagination(req.query)) {
+      const { items, pagination } = await findCursorPage(Activity, query, {
+        sortBy,
+        sortOrder,
+        limit,
+        cursor: req.query.cursor,
+        sortFields: ACTIVITY_SORT_FIELDS,
+        includeTotal: req.query.includeTotal === 'true',
+        stages: clientStages,
+        populate: ACTIVITY_LIST_POPULATE
+      });
+      return res.json({ activities: items, pagination });
+    }
+
+    // Calculate pagination
     const skip = (parseInt(page) - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+    const sortDir = sortOrder === 'asc' ? 1 : -1;
+    const sort = { [sortBy]: sortDir, _id: sortDir };
 
-    // Execute query with population
-    const [activities, totalCount] = await Promise.all([
-      Activity.find(query)
-        .populate('userId', 'name email role')
-        .populate('clientId', 'name email contactStatus')
-        .sort(sort)
-        .limit(limit)
-        .skip(skip),
-      Activity.countDocuments(query)
+    // Execute query; sorting before the client join lets the index stream the page
+    const [rawActivities, [count]] = await Promise.all([
+      Activity.aggregate([
+        { $match: query },
+        { $sort: sort },
+        ...clientStages,
+        { $skip: skip },
+        { $limit: limit }
+      ]),
+      Activity.aggregate([
+        { $match: query },
+        ...clientStages,
+        { $count: 'total' }
+      ])
     ]);
+    const activities = await Activity.populate(
+      rawActivities.map(activity => Activity.hydrate(activity)),
+      ACTIVITY_LIST_POPULATE
+    );
+    const totalCount = count ? count.total : 0;
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
@@ -90,11 +150,13 @@ const getClientActivities = async (req, res) => {
     const {
       page = 1,
       pageSize = 50,
-      type
+      type,
+      contactId
     } = req.query;
 
-    // Verify client exists
-    const clientExists = await Client.exists({ _id: clientId });
+    // Verify client exists and is visible to the user
+    const scope = await getClientScope(req.user);
+    const clientExists = await Client.exists(applyClientScope({ _id: clientId }, scope));
     if (!clientExists) {
       return res.status(404).json({ 
         message: 'Client not found' 
@@ -108,6 +170,10 @@ const getClientActivities = async (req, res) => {
       query.type = type;
     }
 
+    if (contactId) {
+      query.contactId = contactId;
+    }
+
     // Calculate pagination
     const limit = parseInt(pageSize);
     const skip = (parseInt(page) - 1) * limit;
@@ -116,6 +182,8 @@ const getClientActivities = async (req, res) => {
     const [activities, totalCount, activitySummary] = await Promise.all([
       Activity.find(query)
         .populate('userId', 'name email role')
+        .populate('impersonatedBy', 'name email')
+        .populate('contactId', 'name title email phone role')
         .sort({ createdAt: -1 })
         .limit(limit)
         .skip(skip),
@@ -161,27 +229,38 @@ const createActivity = async (req, res) => {
       });
     }
 
-    const { clientId, type, description, metadata } = req.body;
+    const { clientId, contactId, type, description, metadata } = req.body;
 
-    // Verify client exists
-    const client = await Client.findById(clientId);
+    // Verify client exists and is visible to the user
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOne(applyClientScope({ _id: clientId }, scope));
     if (!client) {
       return res.status(404).json({ 
         message: 'Client not found' 
       });
     }
 
+    // A referenced contact must be one of the client's contacts
+    if (contactId && !(await Contact.exists({ _id: contactId, clientId: client._id }))) {
+      return res.status(404).json({ 
+        message: 'Contact not found' 
+      });
+    }
+
     // Create activity using the static method for validation
     const activity = await Activity.createActivity({
       clientId,
       userId: req.userId,
+      impersonatedBy: req.user.impersonatedBy,
+      contactId: contactId || null,
       type,
       description,
       metadata: metadata || {}
     });
 
-    // Populate user details
+    // Populate user and contact details
     await activity.populate('userId', 'name email role');
+    await activity.populate('contactId', 'name title email phone role');
 
     // Update client's interaction count if applicable
     if (['email_sent', 'call_made', 'meeting_scheduled'].includes(type)) {
@@ -213,7 +292,8 @@ const getActivityStats = async (req, res) => {
     const stats = await Activity.getActivityStats(
       startDate ? new Date(startDate) : null,
       endDate ? new Date(endDate) : null,
-      userId
+      userId,
+      visibleClientStages(await getClientScope(req.user))
     );
 
     res.json({
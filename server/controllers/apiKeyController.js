@@ -0,0 +1,110 @@
+const ApiKey = require('../models/ApiKey');
+const { validationResult } = require('express-validator');
+
+// Keys expire after this many days unless another lifetime is requested
+const API_KEY_EXPIRE_DAYS = parseInt(process.env.API_KEY_EXPIRE_DAYS || '90', 10);
+const MAX_ACTIVE_API_KEYS = 25;
+
+// List the current user's API keys
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.userId, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      message: 'Error fetching API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a new API key; the raw key is only returned in this response
+const createApiKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays = API_KEY_EXPIRE_DAYS } = req.body;
+
+    const activeCount = await ApiKey.countDocuments({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeCount >= MAX_ACTIVE_API_KEYS) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_ACTIVE_API_KEYS} active API keys. Revoke one first.`
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.createForUser(req.userId, {
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays, 10) * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke one of the current user's API keys
+const revokeApiKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, userId: req.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -1,8 +1,47 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const AuthEvent = require('../models/AuthEvent');
+const mailService = require('../services/mailService');
+const loginProtection = require('../services/loginProtectionService');
+const { createSessionTokens, createTwoFactorChallenge } = require('../utils/authTokens');
+const { DEFAULT_ROLE, SUPER_ROLE } = require('../utils/permissions');
+const { getPasswordPolicy, isPasswordExpired } = require('../utils/passwordPolicy');
 
-// Register new user
+// Password reset links are valid for this many minutes
+const RESET_PASSWORD_EXPIRE_MINUTES = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES || '30', 10);
+
+// Email verification links are valid for this many hours
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '48', 10);
+
+// When enabled, users cannot log in until their email address is verified
+const requireEmailVerification = () => String(process.env.REQUIRE_EMAIL_VERIFICATION || '').toLowerCase() === 'true';
+
+// Open self-registration (as employee) is off unless explicitly enabled;
+// otherwise accounts are created through invitations
+const allowOpenRegistration = () => String(process.env.ALLOW_OPEN_REGISTRATION || '').toLowerCase() === 'true';
+
+// Issue a fresh verification token for the user and email the link
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRE_HOURS);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { emailVerificationToken: user.emailVerificationToken, emailVerificationExpire: user.emailVerificationExpire } },
+    { runValidators: false }
+  );
+  await mailService.sendEmailVerification(user, token, EMAIL_VERIFICATION_EXPIRE_HOURS);
+};
+
+// Response when an admin has switched password login off in favour of single sign-on
+const passwordLoginDisabledResponse = {
+  message: 'Password login is disabled. Please sign in with single sign-on.',
+  code: 'PASSWORD_LOGIN_DISABLED'
+};
+
+// Register new user (bootstraps the first admin, or open registration when enabled)
 const register = async (req, res) => {
   try {
     // Check for validation errors
@@ -14,7 +53,18 @@ const register = async (req, res) => {
       });
     }
 
-    const { email, password, name, role, department, phone, hourlyRate } = req.body;
+    const { email, password, name, department, phone, hourlyRate } = req.body;
+
+    // The very first account bootstraps the system as admin; after that,
+    // registration is invite-only unless open registration is enabled.
+    // Concurrent first registrations race for the bootstrap marker, so only one wins
+    const isBootstrap = !(await User.exists({})) &&
+      await Setting.claimOnce('bootstrap', { email: email.toLowerCase(), claimedAt: new Date() }, email.toLowerCase());
+    if (!isBootstrap && !allowOpenRegistration()) {
+      return res.status(403).json({ 
+        message: 'Registration is by invitation only. Please contact an administrator.' 
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findById(email.toLowerCase());
@@ -24,23 +74,52 @@ const register = async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user (role is never taken from the request body)
     const user = new User({
       _id: email.toLowerCase(),
       email: email.toLowerCase(),
       password,
       name,
-      role: role || 'employee',
+      role: isBootstrap ? SUPER_ROLE : DEFAULT_ROLE,
       department,
       phone,
       hourlyRate,
-      status: 'active'
+      status: 'active',
+      // Nobody exists yet who could verify the bootstrap admin
+      emailVerified: isBootstrap
     });
 
-    await user.save();
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Let a later registration bootstrap the system if this one didn't go through
+      if (isBootstrap) {
+        await Setting.deleteOne({ _id: 'bootstrap' });
+      }
+      throw saveError;
+    }
+
+    if (!isBootstrap) {
+      // Send verification link (registration still succeeds if mail delivery fails;
+      // the user can request a new link from /resend-verification)
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
+      // Don't sign the user in until they verify when the policy is enabled
+      if (requireEmailVerification()) {
+        return res.status(201).json({
+          message: 'User registered successfully. Please check your email to verify your account.',
+          user: user.toJSON(),
+          emailVerificationRequired: true
+        });
+      }
+    }
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -48,7 +127,7 @@ const register = async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       user: user.toJSON(),
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -71,12 +150,30 @@ const login = async (req, res) => {
       });
     }
 
+    const security = await Setting.getValue('security');
+    if (!security.passwordLoginEnabled) {
+      return res.status(403).json(passwordLoginDisabledResponse);
+    }
+
     const { email, password } = req.body;
+    const attemptContext = {
+      email: email.toLowerCase(),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Refuse attempts while the account or IP is backing off or locked out
+    const block = await loginProtection.check(attemptContext);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfterSeconds));
+      return res.status(429).json(loginProtection.describeBlock(block));
+    }
 
     // Find user and include password for comparison
-    const user = await User.findById(email.toLowerCase()).select('+password');
+    const user = await User.findById(attemptContext.email).select('+password');
     
     if (!user) {
+      await loginProtection.recordFailure(attemptContext);
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
@@ -92,21 +189,48 @@ const login = async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtection.recordFailure({ ...attemptContext, userId: user._id });
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
     }
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Block unverified accounts when the verification policy is enabled
+    if (requireEmailVerification() && !user.emailVerified) {
+      return res.status(403).json({ 
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Passwords past the policy's maximum age only unlock change-password
+    const passwordChangeRequired = await isPasswordExpired(user);
+
+    // Second step required: hand back a challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user, { passwordChangeRequired })
+      });
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(user, req, { passwordChangeRequired });
 
     // Update last login
     await user.updateLastLogin();
+    await loginProtection.recordSuccess({ ...attemptContext, userId: user._id });
+
+    // Users whose role requires 2FA can only reach enrollment until they set it up
+    const twoFactorSetupRequired = security.twoFactorRequiredRoles.includes(user.role);
 
     res.json({
-      message: 'Login successful',
+      message: passwordChangeRequired ? 'Password expired. Please choose a new password.' : 'Login successful',
       user: user.toJSON(),
-      token
+      ...tokens,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+      ...(passwordChangeRequired && { passwordChangeRequired })
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -129,8 +253,22 @@ const getCurrentUser = async (req, res) => {
       });
     }
 
+    // Flag impersonation sessions so the client can show a banner
+    let impersonatedBy = null;
+    if (req.user.impersonatedBy) {
+      const admin = await User.findById(req.user.impersonatedBy).select('name email');
+      impersonatedBy = {
+        userId: req.user.impersonatedBy,
+        name: admin?.name,
+        email: admin?.email,
+        expiresAt: new Date(req.user.exp * 1000)
+      };
+    }
+
     res.json({
-      user: user.toJSON()
+      user: user.toJSON(),
+      permissions: await user.getPermissions(),
+      impersonatedBy
     });
   } catch (error) {
     console.error('Get current user error:', error);
@@ -141,19 +279,42 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
-// Logout user (client-side token removal, but we can track logout if needed)
-const logout = async (req, res) => {
+// End an impersonation session early (the admin's own session is unaffected)
+const endImpersonation = async (req, res) => {
   try {
-    // Optional: You could maintain a token blacklist in Redis or database
-    // For now, we'll just return success and let client remove the token
-    
-    // Optional: Log the logout activity
-    const user = await User.findById(req.userId);
-    if (user) {
-      // You could add a logout timestamp or activity log here
-      console.log(`User ${user.email} logged out at ${new Date().toISOString()}`);
+    if (!req.user.impersonatedBy) {
+      return res.status(400).json({ 
+        message: 'You are not impersonating a user' 
+      });
     }
 
+    await Session.revokeSession(req.sessionId, 'impersonation_ended');
+    await AuthEvent.record('impersonation_ended', {
+      email: req.user.email,
+      userId: req.userId,
+      performedBy: req.user.impersonatedBy,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: { sessionId: req.sessionId }
+    });
+
+    res.json({
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ 
+      message: 'Error ending impersonation', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Logout user - revokes the current session so its tokens stop working immediately
+const logout = async (req, res) => {
+  try {
+    await Session.revokeSession(req.sessionId, 'logout');
+
     res.json({
       message: 'Logout successful'
     });
@@ -166,9 +327,528 @@ const logout = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+const refreshToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result || result.reused) {
+      return res.status(401).json({ 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const { session, refreshToken: newRefreshToken } = result;
+
+    // Re-read the user so role/status changes are reflected in the new access token
+    const user = await User.findById(session.userId);
+    if (!user || user.status !== 'active') {
+      await Session.revokeSession(session._id, 'user_inactive');
+      return res.status(401).json({ 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      token: user.generateAuthToken(session._id, {
+        mfa: session.mfaVerified,
+        passwordChangeRequired: session.passwordChangeRequired
+      }),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      message: 'Error refreshing token', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Request a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    // Passwords can't be used, so there is nothing to reset
+    const security = await Setting.getValue('security');
+    if (!security.passwordLoginEnabled) {
+      return res.status(403).json(passwordLoginDisabledResponse);
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists to avoid leaking emails
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findById(email.toLowerCase());
+    if (!user || user.status !== 'active') {
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new token replaces (and invalidates) any previous one
+    const token = user.createPasswordResetToken(RESET_PASSWORD_EXPIRE_MINUTES);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { resetPasswordToken: user.resetPasswordToken, resetPasswordExpire: user.resetPasswordExpire } },
+      { runValidators: false }
+    );
+
+    try {
+      await mailService.sendPasswordReset(user, token, RESET_PASSWORD_EXPIRE_MINUTES);
+    } catch (mailError) {
+      // Roll back the token so an undeliverable link can't linger
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+      );
+      throw mailError;
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      message: 'Error requesting password reset', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Reset password using a token from the reset email
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByResetToken(token).select('+password +passwordHistory');
+    if (!user || user.status !== 'active') {
+      return res.status(400).json({ 
+        message: 'Password reset link is invalid or has expired' 
+      });
+    }
+
+    const { historySize } = await getPasswordPolicy();
+    if (await user.isPasswordReused(password, historySize)) {
+      return res.status(400).json({ 
+        message: 'You cannot reuse a recent password',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    // Set new password (hashed by pre-save hook) and consume the token
+    user.setPassword(password, historySize);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      message: 'Password reset successful'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      message: 'Error resetting password', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Change the current user's password (requires the current password)
+const changePassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId).select('+password +passwordHistory');
+    if (!user) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    const attemptContext = {
+      email: user.email,
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Guessing the current password counts towards the login limits
+    const block = await loginProtection.check(attemptContext);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfterSeconds));
+      return res.status(429).json(loginProtection.describeBlock(block));
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      await loginProtection.recordFailure(attemptContext);
+      return res.status(401).json({ 
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    // Strength rules are checked by the route validator; reuse needs the stored hashes
+    const policy = await getPasswordPolicy();
+    if (await user.isPasswordReused(newPassword, policy.historySize)) {
+      return res.status(400).json({ 
+        message: 'You cannot reuse a recent password',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    user.setPassword(newPassword, policy.historySize);
+    await user.save();
+
+    // Keep this session, sign out everywhere else, and lift the expired-password restriction
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+    await Session.updateOne({ _id: req.sessionId }, { $set: { passwordChangeRequired: false } });
+
+    res.json({
+      message: 'Password changed successfully',
+      token: user.generateAuthToken(req.sessionId, { mfa: req.user.mfa })
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      message: 'Error changing password', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Verify email address using the token from the verification email
+const verifyEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token } = req.params;
+
+    const user = await User.findByVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ 
+        message: 'Verification link is invalid or has expired' 
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+      },
+      { runValidators: false }
+    );
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      message: 'Error verifying email', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Resend the verification email
+const resendVerification = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists to avoid leaking emails
+    const genericResponse = {
+      message: 'If the account exists and is not yet verified, a verification email has been sent'
+    };
+
+    const user = await User.findById(email.toLowerCase());
+    if (!user || user.status !== 'active' || user.emailVerified) {
+      return res.json(genericResponse);
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      message: 'Error sending verification email', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Look up a pending invitation so the client can render the accept form
+const getInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const invitation = await Invitation.findPendingByToken(req.params.token)
+      .populate('invitedBy', 'name email');
+    if (!invitation) {
+      return res.status(404).json({ 
+        message: 'Invitation is invalid or has expired' 
+      });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        department: invitation.department,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching invitation', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Accept an invitation by setting a password; creates the account and logs in
+const acceptInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token, password, name, phone } = req.body;
+
+    const invitation = await Invitation.findPendingByToken(token);
+    if (!invitation) {
+      return res.status(400).json({ 
+        message: 'Invitation is invalid or has expired' 
+      });
+    }
+
+    const existingUser = await User.exists({ _id: invitation.email });
+    if (existingUser) {
+      return res.status(409).json({ 
+        message: 'User with this email already exists' 
+      });
+    }
+
+    // Claim the invitation atomically so it can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ 
+        message: 'Invitation is invalid or has expired' 
+      });
+    }
+
+    // The invite link was delivered to this address, so it counts as verified
+    const user = new User({
+      _id: invitation.email,
+      email: invitation.email,
+      password,
+      name,
+      role: invitation.role,
+      department: invitation.department,
+      phone,
+      status: 'active',
+      emailVerified: true
+    });
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Release the invitation so the invitee can retry
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { $set: { status: 'pending' }, $unset: { acceptedAt: 1 } }
+      );
+      throw saveError;
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(user, req);
+
+    // Update last login
+    await user.updateLastLogin();
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      user: user.toJSON(),
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ 
+      message: 'Error accepting invitation', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// List the current user's active sessions (devices)
+const listMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.userId);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching sessions', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeMySession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, userId: req.userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked_by_user' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ 
+        message: 'Session not found' 
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking session', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Revoke all of the current user's sessions except the one making the request
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.userId, 'revoked_by_user', req.sessionId);
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking sessions', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getCurrentUser,
-  logout
+  endImpersonation,
+  logout,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  getInvitation,
+  acceptInvitation,
+  listMySessions,
+  revokeMySession,
+  revokeOtherSessions
 };
\ No newline at end of file
@@ -1,39 +1,203 @@
 const Client = require('../models/Client');
 const mongoose = require('mongoose');
 const Activity = require('../models/Activity');
+const SavedView = require('../models/SavedView');
+const CustomField = require('../models/CustomField');
+const Tag = require('../models/Tag');
+const Contact = require('../models/Contact');
 const { validationResult } = require('express-validator');
 const { parseCSV, previewCSV } = require('../utils/csvParser');
 const { generateClientsCSV, generateClientsTemplate } = require('../utils/csvGenerator');
 const { validateCSVFile, batchValidateClients } = require('../utils/csvValidator');
+const { getClientScope, applyClientScope } = require('../utils/clientScope');
+const {
+  escapeRegex,
+  buildClientSearchFilter,
+  relevanceProjection,
+  relevanceSort,
+  withSearchHighlights
+} = require('../utils/clientSearch');
+const { parseClientFilter, applyClientFilter, describeClientFilterFields } = require('../utils/clientFilter');
+const { findCursorPage, wantsCursorPagination } = require('../utils/cursorPagination');
+const {
+  findDuplicatePairs,
+  duplicateCandidateFilter,
+  DEFAULT_MIN_SCORE,
+  MAX_DUPLICATE_SCAN
+} = require('../utils/clientDuplicates');
+const { validateCustomFieldValues, buildCustomFieldColumnMap } = require('../utils/customFields');
+const { parseContactColumn, contactsFromColumns } = require('../utils/contacts');
+const { findAncestorIds, findDescendantIds, checkParentClient, buildClientTree } = require('../utils/clientHierarchy');
+const {
+  LEGACY_ADDRESS_FIELDS,
+  formatAddress,
+  normalizeAddressDefaults,
+  legacyFieldsFromAddresses,
+  applyLegacyFields
+} = require('../utils/addresses');
+const stripeService = require('../services/stripeService');
+
+// Fields the client list can be paged through with a cursor (relevance can't be)
+const CLIENT_CURSOR_SORT_FIELDS = ['createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'];
+
+// Fields clients are created and updated with; trash state, status history and Stripe
+// payment methods change through their own endpoints
+const CLIENT_WRITABLE_FIELDS = [
+  'externalId', 'name', 'description', 'owner', 'ownedBy', 'parentClientId', 'sharedWith', 'tags',
+  'contactStatus', 'contactType', 'companyType', 'phone', 'email', 'addresses', 'address', 'city',
+  'state', 'postalCode', 'website', 'facebookPage', 'industry', 'forecastedAmount',
+  'interactionCount', 'profileImage', 'folderLink', 'createdAtText', 'nameCC', 'maskedCCLast4',
+  'expirationDateText', 'ccNumberText', 'securityCodeText', 'zipCodeText', 'lastNote',
+  'projectedCloseDate', 'fullName', 'defaultShippingTerms', 'defaultPaymentMethod', 'customFields'
+];
+
+// Raw card input accepted on create/update; tokenized, never stored
+const CARD_INPUT_FIELDS = ['ccNumber', 'cardNumber', 'ccExp', 'expirationDate', 'ccCvv', 'securityCode', 'nameOnCard', 'billingZip'];
+
+// Copy the writable client fields from a request body
+// Returns { data }, or { error } when the body sets trash fields or uses update operators
+// (null trash fields, as echoed back from a fetched client, are just dropped)
+const pickClientFields = (body, extraFields = []) => {
+  const keys = Object.keys(body || {});
+  const rejected = keys.filter(key => key.startsWith('$') ||
+    (['deletedAt', 'deletedBy'].includes(key) && body[key] !== null));
+  if (rejected.length > 0) {
+    return { error: `These fields cannot be set: ${rejected.join(', ')}` };
+  }
+  const allowed = new Set([...CLIENT_WRITABLE_FIELDS, ...CARD_INPUT_FIELDS, ...extraFields]);
+  return { data: Object.fromEntries(keys.filter(key => allowed.has(key)).map(key => [key, body[key]])) };
+};
+
+// Load the saved view named by `viewId` ('default' = the user's default view)
+// Returns { view } or { error } when it doesn't exist or isn't visible to the user
+const resolveSavedView = async (req) => {
+  const { viewId } = req.query;
+  if (!viewId) {
+    return { view: null };
+  }
+  const view = viewId === 'default'
+    ? await SavedView.findDefaultFor(req.user)
+    : await SavedView.findVisible(viewId, req.user);
+  return view ? { view } : { error: 'Saved view not found' };
+};
+
+// Tag keys from a `tags` query parameter (comma-separated and/or repeated)
+const parseTagList = (tags) => {
+  return [...new Set([].concat(tags || [])
+    .flatMap(value => String(value).split(','))
+    .map(key => key.trim().toLowerCase())
+    .filter(Boolean))];
+};
+
+// Clients carrying any of the tags (or every tag with tagMatch=all); null without tags
+const buildTagFilter = (tags, tagMatch) => {
+  const keys = parseTagList(tags);
+  if (keys.length === 0) {
+    return null;
+  }
+  return { tags: tagMatch === 'all' ? { $all: keys } : { $in: keys } };
+};
+
+// Normalize submitted tag keys; returns { tags } or { error } when some aren't in the catalog
+const resolveClientTags = async (tags) => {
+  const keys = parseTagList(tags);
+  const unknown = await Tag.findUnknown(keys);
+  return unknown.length > 0
+    ? { error: { message: 'Unknown tags', tags: unknown } }
+    : { tags: keys };
+};
+
+// Check a new parent account: visible to the user and not below the client itself
+const resolveParentClient = async (clientId, parentId, scope) => {
+  if (!(await Client.exists(applyClientScope({ _id: parentId }, scope)))) {
+    return 'Parent client not found';
+  }
+  return checkParentClient(clientId, parentId);
+};
+
+// Look up the clients import rows would update ({ _id } or { email } filters)
+// Returns a function giving the reason a row can't be imported, or null when it can
+const checkImportTargets = async (filters, scope) => {
+  const ids = filters.filter(filter => filter._id).map(filter => String(filter._id));
+  const emails = filters.filter(filter => !filter._id && filter.email).map(filter => filter.email);
+  const keyFilter = { $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] };
+  const [existing, visibleIds] = await Promise.all([
+    Client.find(keyFilter).setOptions({ withDeleted: true }).select('_id email deletedAt').lean(),
+    scope ? Client.find(applyClientScope(keyFilter, scope)).distinct('_id') : null
+  ]);
+  const visible = visibleIds && new Set(visibleIds.map(String));
+  const isVisible = (client) => !visible || visible.has(String(client._id));
+  const byKey = new Map();
+  for (const client of existing) {
+    for (const key of [`id:${client._id}`, client.email && `email:${client.email}`].filter(Boolean)) {
+      byKey.set(key, [...(byKey.get(key) || []), client]);
+    }
+  }
+
+  return (filter) => {
+    const matches = byKey.get(filter._id ? `id:${filter._id}` : `email:${filter.email}`) || [];
+    const liveMatches = matches.filter(client => !client.deletedAt);
+    // Trashed clients come back only through the trash restore endpoint
+    if (matches.length > 0 && liveMatches.length === 0) {
+      return 'Client is in the trash; restore it before importing';
+    }
+    if (liveMatches.length > 0 && !liveMatches.some(isVisible)) {
+      return 'Client belongs to a user outside your access';
+    }
+    return null;
+  };
+};
+
+// Filter an import upsert: only live clients visible to the user can be updated
+// (bulk writes skip the model's trash filter, so it is added here)
+const importFilter = (filter, scope) => applyClientScope({ ...filter, deletedAt: null }, scope);
 
 // List all clients with pagination, search, and filtering
 const listClients = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // A saved view supplies defaults; explicit query parameters take precedence
+    const { view, error: viewError } = await resolveSavedView(req);
+    if (viewError) {
+      return res.status(404).json({ message: viewError });
+    }
+
     const {
       page = 1,
-      pageSize = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      search,
+      pageSize = view?.pageSize || 10,
+      sortOrder = view?.sortOrder || 'desc',
+      search = view?.search,
       contactStatus,
       industry,
       city,
       ownedBy,
-      companyType
+      companyType,
+      tags,
+      tagMatch,
+      underClientId,
+      filter
     } = req.query;
 
     // Build query
     const query = {};
-    if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { phone: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { address: new RegExp(search, 'i') },
-        { city: new RegExp(search, 'i') }
-      ];
+    const textFilter = buildClientSearchFilter(search);
+    if (textFilter) {
+      Object.assign(query, textFilter);
     }
+
+    // Searches rank by relevance unless another sort is asked for; without search text
+    // there is nothing to rank, so relevance falls back to newest first in both page modes
+    const requestedSort = req.query.sortBy || view?.sortBy || (textFilter ? 'relevance' : 'createdAt');
+    const sortBy = requestedSort === 'relevance' && !textFilter ? 'createdAt' : requestedSort;
+    const byRelevance = sortBy === 'relevance';
     
     if (contactStatus) {
       query.contactStatus = contactStatus;
@@ -44,7 +208,7 @@ const listClients = async (req, res) => {
     }
     
     if (city) {
-      query.city = new RegExp(city, 'i');
+      query.city = new RegExp(escapeRegex(city), 'i');
     }
     
     if (ownedBy) {
@@ -55,19 +219,74 @@ const listClients = async (req, res) => {
       query.companyType = companyType;
     }
 
-    // Calculate pagination
+    applyClientFilter(query, buildTagFilter(tags, tagMatch));
+
+    // Every client in the account hierarchy below the given one
+    if (underClientId) {
+      applyClientFilter(query, { _id: { $in: await findDescendantIds(underClientId) } });
+    }
+
+    // Structured filters (validated by the route); a view's filter applies as well.
+    // A view whose stored filter no longer parses still lists, without that filter, and
+    // the response flags it so the view can be fixed
+    let viewFilterError = null;
+    if (view) {
+      const { filter: viewFilter, error } = await view.parseFilter();
+      viewFilterError = error || null;
+      applyClientFilter(query, viewFilter);
+    }
+    applyClientFilter(query, parseClientFilter(filter, await CustomField.getFilterFields()));
+
+    // Only return clients the user is allowed to see
+    const scopedQuery = applyClientScope(query, await getClientScope(req.user));
+
     const limit = parseInt(pageSize);
+    const viewInfo = view && {
+      view: {
+        _id: view._id,
+        name: view.name,
+        columns: view.columns,
+        ...(viewFilterError && { filterError: viewFilterError })
+      }
+    };
+
+    // Cursor mode: keyset pages, total count only on request
+    if (wantsCursorPagination(req.query)) {
+      if (byRelevance && !req.query.cursor) {
+        return res.status(400).json({
+          message: 'Cursor pagination needs a sort field; relevance ordering only supports page numbers'
+        });
+      }
+      const { items, pagination } = await findCursorPage(Client, scopedQuery, {
+        sortBy,
+        sortOrder,
+        limit,
+        cursor: req.query.cursor,
+        sortFields: CLIENT_CURSOR_SORT_FIELDS,
+        includeTotal: req.query.includeTotal === 'true',
+        prepare: q => (textFilter ? q.select(relevanceProjection) : q).populate('ownedBy', 'name email role')
+      });
+      return res.json({
+        clients: textFilter ? withSearchHighlights(items, search) : items,
+        pagination,
+        ...viewInfo
+      });
+    }
+
+    // Calculate pagination
     const skip = (parseInt(page) - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+    const sort = byRelevance
+      ? relevanceSort
+      : { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
     // Execute query with population
     const [clients, totalCount] = await Promise.all([
-      Client.find(query)
+      Client.find(scopedQuery, textFilter ? relevanceProjection : undefined)
         .populate('ownedBy', 'name email role')
         .sort(sort)
         .limit(limit)
         .skip(skip),
-      Client.countDocuments(query)
+      Client.countDocuments(scopedQuery)
     ]);
 
     // Calculate pagination metadata
@@ -76,7 +295,7 @@ const listClients = async (req, res) => {
     const hasPrevPage = page > 1;
 
     res.json({
-      clients,
+      clients: textFilter ? withSearchHighlights(clients, search) : clients,
       pagination: {
         currentPage: parseInt(page),
         pageSize: limit,
@@ -84,7 +303,8 @@ const listClients = async (req, res) => {
         totalPages,
         hasNextPage,
         hasPrevPage
-      }
+      },
+      ...viewInfo
     });
   } catch (error) {
     console.error('List clients error:', error);
@@ -106,15 +326,18 @@ const deleteAllClients = async (req, res) => {
       });
     }
 
-    // Delete all clients and related activities
-    const clientResult = await Client.deleteMany({});
-    const activityResult = await Activity.deleteMany({});
+    // Move all clients visible to the user to the trash; activities and contacts are kept
+    // until the clients are purged
+    const scope = await getClientScope(req.user);
+    const clientResult = await Client.updateMany(
+      scope || {},
+      { $set: { deletedAt: new Date(), deletedBy: req.userId } }
+    );
 
     res.json({
-      message: 'All clients deleted successfully',
+      message: 'All clients moved to trash',
       deleted: {
-        clients: clientResult?.deletedCount ?? 0,
-        activities: activityResult?.deletedCount ?? 0,
+        clients: clientResult?.modifiedCount ?? 0,
       },
     });
   } catch (error) {
@@ -255,11 +478,14 @@ const importClientsBatch = async (req, res) => {
 
     // Build bulkWrite ops
     const ops = [];
+    const pending = []; // { row, filter, update }
     let rowsProcessed = 0;
     let skipped = 0;
+    let rejected = 0;
     const errors = [];
 
     for (const raw of rows) {
+      const row = rowsProcessed + skipped + 1;
       try {
         const doc = sanitizeRow(raw);
         if (!doc.name) {
@@ -287,7 +513,7 @@ const importClientsBatch = async (req, res) => {
         const update = { $set: { ...doc } };
         if (Object.keys(setOnInsert).length) update.$setOnInsert = setOnInsert;
 
-        ops.push({ updateOne: { filter, update, upsert: true } });
+        pending.push({ row, filter, update });
         rowsProcessed++;
       } catch (e) {
         skipped++;
@@ -295,6 +521,19 @@ const importClientsBatch = async (req, res) => {
       }
     }
 
+    // Rows can only update clients the user can see, and not ones in the trash
+    const scope = await getClientScope(req.user);
+    const importConflict = await checkImportTargets(pending.map(entry => entry.filter), scope);
+    for (const { row, filter, update } of pending) {
+      const conflict = importConflict(filter);
+      if (conflict) {
+        rejected++;
+        errors.push({ row, error: conflict, conflict: true });
+        continue;
+      }
+      ops.push({ updateOne: { filter: importFilter(filter, scope), update, upsert: true } });
+    }
+
     // Execute in chunks for throughput
     let modifiedCount = 0;
     let upsertedCount = 0;
@@ -315,6 +554,8 @@ const importClientsBatch = async (req, res) => {
     for (let i = 0; i < ops.length; i += chunkSize) {
       const chunk = ops.slice(i, i + chunkSize);
       await execChunk(chunk);
+      // Fill the default billing address from the address columns
+      await Client.syncAddressesFromLegacy({ $or: chunk.map(op => op.updateOne.filter) });
     }
 
     // Skip payment tokenization by default for speed (can be handled by later jobs)
@@ -330,7 +571,7 @@ const importClientsBatch = async (req, res) => {
         successful: upsertedCount + modifiedCount,
         created: upsertedCount,
         updated: modifiedCount,
-        failed: 0,
+        failed: rejected,
         skipped
       },
       errors
@@ -349,7 +590,8 @@ const getClient = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const client = await Client.findById(id)
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOne(applyClientScope({ _id: id }, scope))
       .populate('ownedBy', 'name email role department');
     
     if (!client) {
@@ -374,6 +616,44 @@ const getClient = async (req, res) => {
   }
 };
 
+// Get the account tree a client belongs to, with rollups per account
+const getClientHierarchy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const scope = await getClientScope(req.user);
+    if (!(await Client.exists(applyClientScope({ _id: id }, scope)))) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    // Accounts the user can't see stay in the tree as placeholders without data
+    const includePayments = req.query.includePayments !== 'false' && stripeService.isConfigured();
+    const { tree, path } = await buildClientTree(id, { scope, includePayments });
+
+    res.json({
+      tree,
+      path,
+      paymentsIncluded: includePayments
+    });
+  } catch (error) {
+    console.error('Get client hierarchy error:', error);
+    res.status(500).json({
+      message: 'Error fetching client hierarchy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Create new client
 const createClient = async (req, res) => {
   try {
@@ -386,7 +666,11 @@ const createClient = async (req, res) => {
       });
     }
 
-    const clientData = { ...(req.body || {}) };
+    // Only known fields; a client ID may be chosen on create
+    const { data: clientData, error: fieldError } = pickClientFields(req.body, ['_id']);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
 
     // Extract potential raw card fields from aliases; will be tokenized (never stored raw)
     const rawCcNumber = clientData.ccNumber || clientData.cardNumber;
@@ -410,6 +694,37 @@ const createClient = async (req, res) => {
       clientData.ownedBy = req.userId;
     }
 
+    // Check custom field values against the admin-defined fields
+    const custom = validateCustomFieldValues(clientData.customFields, await CustomField.findAllCached());
+    if (custom.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: custom.errors
+      });
+    }
+    clientData.customFields = Object.fromEntries(
+      Object.entries(custom.values).filter(([, value]) => value !== null)
+    );
+
+    // Tags must come from the catalog
+    if (clientData.tags !== undefined) {
+      const { tags, error: tagError } = await resolveClientTags(clientData.tags);
+      if (tagError) {
+        return res.status(400).json(tagError);
+      }
+      clientData.tags = tags;
+    }
+
+    // Parent account must be visible to the user
+    if (clientData.parentClientId) {
+      const parentError = await resolveParentClient(clientData._id, clientData.parentClientId, await getClientScope(req.user));
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    } else {
+      clientData.parentClientId = null;
+    }
+
     // Create new client (without raw payment fields)
     let client = new Client(clientData);
     await client.save();
@@ -475,7 +790,7 @@ const createClient = async (req, res) => {
     }
 
     // Log activity
-    await Activity.logClientCreated(client._id, req.userId, client.name);
+    await Activity.logClientCreated(client._id, req.userId, client.name, req.user.impersonatedBy);
 
     // Populate owner details
     await client.populate('ownedBy', 'name email role');
@@ -506,13 +821,12 @@ const updateClient = async (req, res) => {
     }
 
     const { id } = req.params;
-    const updates = { ...(req.body || {}) };
 
-    // Prevent updating certain fields
-    delete updates._id;
-    delete updates.createdAt;
-    delete updates.updatedAt;
-    delete updates.statusHistory;
+    // Only known fields; the ID, timestamps, history and trash state can't be changed here
+    const { data: updates, error: fieldError } = pickClientFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
 
     // Extract potential raw card fields (never persist directly)
     const rawCcNumber = typeof updates.ccNumber === 'string' ? updates.ccNumber : undefined;
@@ -528,9 +842,61 @@ const updateClient = async (req, res) => {
     delete updates.nameOnCard;
     delete updates.billingZip;
 
-    // First update non-payment fields if any
-    let client = await Client.findByIdAndUpdate(
-      id,
+    // Tags must come from the catalog
+    if (updates.tags !== undefined) {
+      const { tags, error: tagError } = await resolveClientTags(updates.tags);
+      if (tagError) {
+        return res.status(400).json(tagError);
+      }
+      updates.tags = tags;
+    }
+
+    // Custom fields: only the submitted keys change; blank values clear the field
+    if (updates.customFields !== undefined) {
+      const custom = validateCustomFieldValues(updates.customFields, await CustomField.findAllCached(), { partial: true });
+      if (custom.errors.length > 0) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: custom.errors
+        });
+      }
+      delete updates.customFields;
+      for (const [key, value] of Object.entries(custom.values)) {
+        if (value === null) {
+          updates.$unset = { ...updates.$unset, [`customFields.${key}`]: '' };
+        } else {
+          updates[`customFields.${key}`] = value;
+        }
+      }
+    }
+
+    // Moving under another account must not create a cycle; null detaches the client
+    const scope = await getClientScope(req.user);
+    if (updates.parentClientId !== undefined) {
+      if (updates.parentClientId) {
+        const parentError = await resolveParentClient(id, updates.parentClientId, scope);
+        if (parentError) {
+          return res.status(400).json({ message: parentError });
+        }
+      } else {
+        updates.parentClientId = null;
+      }
+    }
+
+    // Addresses: a submitted list replaces the old one and refreshes the single-address
+    // fields; single-address fields alone update the default billing address
+    if (updates.addresses !== undefined) {
+      normalizeAddressDefaults(updates.addresses);
+      Object.assign(updates, legacyFieldsFromAddresses(updates.addresses));
+    } else if (Object.keys(LEGACY_ADDRESS_FIELDS).some(field => updates[field] !== undefined)) {
+      const current = await Client.findOne(applyClientScope({ _id: id }, scope)).select('addresses').lean();
+      const addresses = current && applyLegacyFields(current.addresses, updates);
+      if (addresses) updates.addresses = addresses;
+    }
+
+    // First update non-payment fields if any (only on clients the user can see)
+    let client = await Client.findOneAndUpdate(
+      applyClientScope({ _id: id }, scope),
       Object.keys(updates).length ? updates : {},
       { new: true, runValidators: true }
     ).populate('ownedBy', 'name email role');
@@ -616,7 +982,13 @@ const deleteClient = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const client = await Client.findByIdAndDelete(id);
+    // Move to the trash; activities and contacts stay until the client is purged
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOneAndUpdate(
+      applyClientScope({ _id: id }, scope),
+      { $set: { deletedAt: new Date(), deletedBy: req.userId } },
+      { new: true }
+    );
     
     if (!client) {
       return res.status(404).json({ 
@@ -624,11 +996,8 @@ const deleteClient = async (req, res) => {
       });
     }
 
-    // Also delete related activities
-    await Activity.deleteMany({ clientId: id });
-
     res.json({
-      message: 'Client deleted successfully',
+      message: 'Client moved to trash',
       client
     });
   } catch (error) {
@@ -655,7 +1024,8 @@ const updateClientStatus = async (req, res) => {
     const { id } = req.params;
     const { status, notes } = req.body;
 
-    const client = await Client.findById(id);
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOne(applyClientScope({ _id: id }, scope));
     
     if (!client) {
       return res.status(404).json({ 
@@ -670,7 +1040,7 @@ const updateClientStatus = async (req, res) => {
     await client.save();
 
     // Log activity
-    await Activity.logStatusChange(id, req.userId, oldStatus, status, notes);
+    await Activity.logStatusChange(id, req.userId, oldStatus, status, notes, req.user.impersonatedBy);
 
     // Populate owner details
     await client.populate('ownedBy', 'name email role');
@@ -703,7 +1073,8 @@ const addClientNote = async (req, res) => {
     const { id } = req.params;
     const { note } = req.body;
 
-    const client = await Client.findById(id);
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOne(applyClientScope({ _id: id }, scope));
     
     if (!client) {
       return res.status(404).json({ 
@@ -716,7 +1087,7 @@ const addClientNote = async (req, res) => {
     await client.save();
 
     // Log activity
-    await Activity.logNoteAdded(id, req.userId, note);
+    await Activity.logNoteAdded(id, req.userId, note, req.user.impersonatedBy);
 
     // Increment interaction count
     await client.incrementInteraction();
@@ -737,13 +1108,25 @@ const addClientNote = async (req, res) => {
 // Get clients grouped by contact status (pipeline view)
 const getClientPipeline = async (req, res) => {
   try {
-    const { ownedBy } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ownedBy, tags, tagMatch, filter } = req.query;
 
     // Build query
-    const query = {};
+    let query = {};
     if (ownedBy) {
       query.ownedBy = ownedBy;
     }
+    applyClientFilter(query, buildTagFilter(tags, tagMatch));
+    applyClientFilter(query, parseClientFilter(filter, await CustomField.getFilterFields()));
+    query = applyClientScope(query, await getClientScope(req.user));
 
     // Get all contact statuses (updated set)
     const statuses = ['Sampling', 'New Prospect', 'Uncategorized', 'Closed lost', 'Initial Contact', 'Closed won', 'Committed', 'Consideration'];
@@ -751,7 +1134,7 @@ const getClientPipeline = async (req, res) => {
     // Fetch clients grouped by status
     const pipeline = await Promise.all(
       statuses.map(async (status) => {
-        const clients = await Client.find({ ...query, contactStatus: status })
+        const clients = await Client.find(applyClientScope({ contactStatus: status }, query))
           .populate('ownedBy', 'name email')
           .sort({ updatedAt: -1 })
           .limit(100); // Limit per column for performance
@@ -792,14 +1175,25 @@ const getClientPipeline = async (req, res) => {
 // Get overall client summaries for footer/header
 const getClientSummary = async (req, res) => {
   try {
-    const { ownedBy } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ownedBy, filter } = req.query;
 
     // Build optional filter
-    const match = {};
+    let match = {};
     if (ownedBy) match.ownedBy = ownedBy;
+    applyClientFilter(match, parseClientFilter(filter, await CustomField.getFilterFields()));
+    match = applyClientScope(match, await getClientScope(req.user));
 
     // Total clients and total forecast
-    const [totalsAgg, contactTypeAgg, companyTypeAgg, hasCardCount] = await Promise.all([
+    const [totalsAgg, contactTypeAgg, companyTypeAgg, tagAgg, hasCardCount] = await Promise.all([
       Client.aggregate([
         { $match: match },
         {
@@ -830,20 +1224,41 @@ const getClientSummary = async (req, res) => {
         },
         { $sort: { count: -1 } }
       ]),
-      Client.countDocuments({
-        ...match,
-        'paymentMethod.paymentMethods.0': { $exists: true }
-      })
+      Client.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        {
+          $group: {
+            _id: '$tags',
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      Client.countDocuments(applyClientScope(
+        { 'paymentMethod.paymentMethods.0': { $exists: true } },
+        match
+      ))
     ]);
 
     const totalClients = totalsAgg[0]?.totalClients || 0;
     const totalForecastedAmount = totalsAgg[0]?.totalForecastedAmount || 0;
 
+    // Name and color each counted tag from the catalog
+    const tagDetails = await Tag.find({ _id: { $in: tagAgg.map(x => x._id) } }).select('name color').lean();
+    const tagById = new Map(tagDetails.map(tag => [tag._id, tag]));
+
     res.json({
       totalClients,
       totalForecastedAmount,
       contactTypeCounts: contactTypeAgg.map((x) => ({ type: x._id, count: x.count })),
       companyTypeCounts: companyTypeAgg.map((x) => ({ type: x._id, count: x.count })),
+      tagCounts: tagAgg.map((x) => ({
+        tag: x._id,
+        name: tagById.get(x._id)?.name || x._id,
+        color: tagById.get(x._id)?.color,
+        count: x.count
+      })),
       hasCardCount
     });
   } catch (error) {
@@ -875,9 +1290,10 @@ const bulkAssignOwner = async (req, res) => {
       });
     }
 
-    // Update all clients
+    // Update all clients the user can see
+    const scope = await getClientScope(req.user);
     const result = await Client.updateMany(
-      { _id: { $in: clientIds } },
+      applyClientScope({ _id: { $in: clientIds } }, scope),
       { ownedBy: newOwnerId }
     );
 
@@ -895,6 +1311,80 @@ const bulkAssignOwner = async (req, res) => {
   }
 };
 
+// Bulk add tags to multiple clients
+const bulkTagClients = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { clientIds } = req.body;
+    const { tags, error: tagError } = await resolveClientTags(req.body.tags);
+    if (tagError) {
+      return res.status(400).json(tagError);
+    }
+
+    // Tag all clients the user can see
+    const scope = await getClientScope(req.user);
+    const result = await Client.updateMany(
+      applyClientScope({ _id: { $in: clientIds } }, scope),
+      { $addToSet: { tags: { $each: tags } } }
+    );
+
+    res.json({
+      message: 'Clients tagged successfully',
+      modifiedCount: result.modifiedCount,
+      matchedCount: result.matchedCount
+    });
+  } catch (error) {
+    console.error('Bulk tag clients error:', error);
+    res.status(500).json({
+      message: 'Error bulk tagging clients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Bulk remove tags from multiple clients
+const bulkUntagClients = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { clientIds } = req.body;
+
+    // Untag all clients the user can see
+    const scope = await getClientScope(req.user);
+    const result = await Client.updateMany(
+      applyClientScope({ _id: { $in: clientIds } }, scope),
+      { $pull: { tags: { $in: parseTagList(req.body.tags) } } }
+    );
+
+    res.json({
+      message: 'Clients untagged successfully',
+      modifiedCount: result.modifiedCount,
+      matchedCount: result.matchedCount
+    });
+  } catch (error) {
+    console.error('Bulk untag clients error:', error);
+    res.status(500).json({
+      message: 'Error bulk untagging clients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Bulk move status for multiple clients
 const bulkMoveStatus = async (req, res) => {
   try {
@@ -916,17 +1406,18 @@ const bulkMoveStatus = async (req, res) => {
     }
 
     // Update each client individually to maintain status history
+    const scope = await getClientScope(req.user);
     const results = await Promise.all(
       clientIds.map(async (clientId) => {
         try {
-          const client = await Client.findById(clientId);
+          const client = await Client.findOne(applyClientScope({ _id: clientId }, scope));
           if (client) {
             const oldStatus = client.contactStatus;
             client.addStatusChange(newStatus, req.userId, notes);
             await client.save();
             
             // Log activity
-            await Activity.logStatusChange(clientId, req.userId, oldStatus, newStatus, notes);
+            await Activity.logStatusChange(clientId, req.userId, oldStatus, newStatus, notes, req.user.impersonatedBy);
             
             return { clientId, success: true };
           }
@@ -955,6 +1446,293 @@ const bulkMoveStatus = async (req, res) => {
   }
 };
 
+// Fields whose surviving value can be picked from any of the merged clients
+const MERGEABLE_FIELDS = [
+  'name', 'fullName', 'description', 'externalId', 'owner', 'ownedBy', 'contactStatus',
+  'contactType', 'companyType', 'phone', 'email', 'address', 'city', 'state', 'postalCode',
+  'website', 'facebookPage', 'industry', 'forecastedAmount', 'projectedCloseDate',
+  'profileImage', 'folderLink', 'lastNote', 'defaultShippingTerms', 'defaultPaymentMethod'
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Find likely duplicate clients among those the user can see
+const findDuplicateClients = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const minScore = req.query.minScore !== undefined ? parseInt(req.query.minScore) : DEFAULT_MIN_SCORE;
+    const limit = parseInt(req.query.limit) || 50;
+    const { clientId } = req.query;
+
+    const scope = await getClientScope(req.user);
+    const fields = 'name email phone address city state postalCode contactStatus ownedBy forecastedAmount createdAt';
+
+    // For one client, load only the clients sharing a blocking key with it;
+    // otherwise scan the newest clients up to MAX_DUPLICATE_SCAN
+    let clients = [];
+    let truncated = false;
+    if (clientId) {
+      const target = await Client.findOne(applyClientScope({ _id: clientId }, scope)).select(fields).lean();
+      const candidateFilter = target && duplicateCandidateFilter(target);
+      if (candidateFilter) {
+        const candidates = await Client.find(applyClientScope({ ...candidateFilter, _id: { $ne: target._id } }, scope))
+          .select(fields)
+          .lean();
+        clients = [target, ...candidates];
+      }
+    } else {
+      clients = await Client.find(applyClientScope({}, scope))
+        .select(fields)
+        .sort({ createdAt: -1, _id: 1 })
+        .limit(MAX_DUPLICATE_SCAN + 1)
+        .lean();
+      truncated = clients.length > MAX_DUPLICATE_SCAN;
+      if (truncated) clients.pop();
+    }
+
+    const pairs = findDuplicatePairs(clients, { minScore, clientId });
+    const clientsById = new Map(clients.map(client => [String(client._id), client]));
+
+    res.json({
+      duplicates: pairs.slice(0, limit).map(pair => ({
+        score: pair.score,
+        reasons: pair.reasons,
+        clients: pair.clientIds.map(id => clientsById.get(id))
+      })),
+      totalPairs: pairs.length,
+      ...(truncated && { truncated, scanned: MAX_DUPLICATE_SCAN })
+    });
+  } catch (error) {
+    console.error('Find duplicate clients error:', error);
+    res.status(500).json({
+      message: 'Error finding duplicate clients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Merge duplicate clients into a surviving client
+const mergeClients = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { survivorId, fields = {} } = req.body;
+    const mergeIds = [...new Set(req.body.mergeIds.map(String))];
+
+    if (mergeIds.includes(String(survivorId))) {
+      return res.status(400).json({
+        message: 'The surviving client cannot also be merged away'
+      });
+    }
+
+    // Every client involved must be visible to the user
+    const scope = await getClientScope(req.user);
+    const involved = await Client.find(applyClientScope({ _id: { $in: [survivorId, ...mergeIds] } }, scope))
+      .select('+paymentMethod.stripeCustomerId');
+    const byId = new Map(involved.map(client => [String(client._id), client]));
+    const missing = [survivorId, ...mergeIds].filter(id => !byId.has(String(id)));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        message: 'Client not found',
+        clientIds: missing
+      });
+    }
+
+    const survivor = byId.get(String(survivorId));
+    const merged = mergeIds.map(id => byId.get(id));
+
+    // Picked values first; otherwise keep the survivor's and fill its blanks in merge order
+    for (const [field, sourceId] of Object.entries(fields)) {
+      if (!MERGEABLE_FIELDS.includes(field) || !byId.has(String(sourceId))) {
+        return res.status(400).json({
+          message: `Cannot take "${field}" from client ${sourceId}`
+        });
+      }
+    }
+    const fieldSources = {};
+    for (const field of MERGEABLE_FIELDS) {
+      if (fields[field] !== undefined) {
+        survivor.set(field, byId.get(String(fields[field])).get(field));
+        fieldSources[field] = String(fields[field]);
+        continue;
+      }
+      if (isBlank(survivor.get(field))) {
+        const donor = merged.find(client => !isBlank(client.get(field)));
+        if (donor) {
+          survivor.set(field, donor.get(field));
+          fieldSources[field] = String(donor._id);
+        }
+      }
+    }
+    // Custom field values the survivor lacks come from the first merged client that has them
+    const customFields = { ...survivor.customFields };
+    for (const client of merged) {
+      for (const [key, value] of Object.entries(client.customFields || {})) {
+        if (isBlank(customFields[key])) customFields[key] = value;
+      }
+    }
+    survivor.customFields = customFields;
+
+    // Addresses of merged clients are added unless the survivor has the same one;
+    // the survivor's defaults (including a picked address) stay
+    const pickedAddresses = applyLegacyFields(survivor.addresses, survivor);
+    if (pickedAddresses) survivor.addresses = pickedAddresses;
+    const knownAddresses = new Set(survivor.addresses.map(address => formatAddress(address).toLowerCase()));
+    for (const client of merged) {
+      for (const address of client.addresses || []) {
+        const key = formatAddress(address).toLowerCase();
+        if (!key || knownAddresses.has(key)) continue;
+        knownAddresses.add(key);
+        const { _id, ...copy } = address.toObject();
+        survivor.addresses.push({ ...copy, isDefault: false });
+      }
+    }
+
+    // Combine histories and counters
+    const history = [survivor, ...merged]
+      .flatMap(client => client.statusHistory.map(entry => entry.toObject()))
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+    const seenEntries = new Set();
+    survivor.statusHistory = history.filter(entry => {
+      const key = `${entry.status}|${new Date(entry.changedAt).getTime()}|${entry.changedBy}`;
+      if (seenEntries.has(key)) return false;
+      seenEntries.add(key);
+      return true;
+    });
+    survivor.interactionCount = [survivor, ...merged].reduce((sum, client) => sum + (client.interactionCount || 0), 0);
+    survivor.sharedWith = [...new Set([survivor, ...merged].flatMap(client => client.sharedWith || []))]
+      .filter(userId => userId !== survivor.ownedBy);
+    survivor.tags = [...new Set([survivor, ...merged].flatMap(client => client.tags || []))];
+    // A survivor under a merged client takes that client's parent
+    const mergedParent = merged.find(client => String(client._id) === String(survivor.parentClientId));
+    if (mergedParent) {
+      const parentId = mergedParent.parentClientId;
+      survivor.parentClientId = parentId && !mergeIds.includes(String(parentId)) && String(parentId) !== String(survivor._id)
+        ? parentId
+        : null;
+    }
+
+    // Carry over saved cards; they stay attached to their own Stripe customer
+    survivor.paymentMethod = survivor.paymentMethod || {};
+    const survivorCustomerId = survivor.paymentMethod.stripeCustomerId;
+    const hasDefault = survivor.paymentMethod.paymentMethods?.some(pm => pm.isDefault);
+    const movedCustomerIds = [];
+    for (const client of merged) {
+      const customerId = client.paymentMethod?.stripeCustomerId;
+      if (customerId && customerId !== survivorCustomerId) {
+        movedCustomerIds.push(customerId);
+      }
+      for (const method of client.paymentMethod?.paymentMethods || []) {
+        const { _id, ...card } = method.toObject();
+        const methodCustomerId = card.stripeCustomerId || customerId;
+        survivor.paymentMethod.paymentMethods.push({
+          ...card,
+          stripeCustomerId: methodCustomerId !== survivorCustomerId ? methodCustomerId : undefined,
+          isDefault: false
+        });
+      }
+    }
+    if (!hasDefault && survivor.paymentMethod.paymentMethods.length > 0) {
+      survivor.paymentMethod.paymentMethods[0].isDefault = true;
+    }
+    if (!survivorCustomerId && movedCustomerIds.length > 0) {
+      // Adopt the first merged customer as the survivor's own
+      survivor.paymentMethod.stripeCustomerId = movedCustomerIds.shift();
+      for (const method of survivor.paymentMethod.paymentMethods) {
+        if (method.stripeCustomerId === survivor.paymentMethod.stripeCustomerId) {
+          method.stripeCustomerId = undefined;
+        }
+      }
+    }
+    survivor.paymentMethod.mergedCustomerIds = [
+      ...new Set([...(survivor.paymentMethod.mergedCustomerIds || []), ...movedCustomerIds])
+    ];
+
+    try {
+      await survivor.save();
+    } catch (saveError) {
+      if (saveError.name !== 'ValidationError') {
+        throw saveError;
+      }
+      return res.status(400).json({
+        message: 'Merged client is invalid',
+        error: saveError.message
+      });
+    }
+
+    // Move everything that points at the merged clients onto the survivor before removing
+    // them, so a failure part-way never leaves records attached to a deleted client
+    const movedActivities = await Activity.updateMany(
+      { clientId: { $in: mergeIds } },
+      { $set: { clientId: String(survivor._id) } }
+    );
+
+    // Contacts move too; the survivor keeps its own primary contact
+    const movedContacts = await Contact.updateMany(
+      { clientId: { $in: mergeIds } },
+      { $set: { clientId: String(survivor._id), isPrimary: false } }
+    );
+    await Contact.assignMissingPrimary([survivor._id]);
+
+    // Sub-accounts of merged clients move under the survivor, except ones above it
+    const survivorAncestors = await findAncestorIds(survivor._id);
+    await Client.updateMany(
+      { parentClientId: { $in: mergeIds }, _id: { $nin: [String(survivor._id), ...survivorAncestors] } },
+      { $set: { parentClientId: String(survivor._id) } },
+      { withDeleted: true }
+    );
+    await Client.updateMany({ parentClientId: { $in: mergeIds } }, { $set: { parentClientId: null } }, { withDeleted: true });
+
+    await Client.deleteMany({ _id: { $in: mergeIds } });
+
+    // Point the merged clients' Stripe customers at the survivor (best effort)
+    const stripeCustomerIds = merged.map(client => client.paymentMethod?.stripeCustomerId).filter(Boolean);
+    if (stripeCustomerIds.length > 0 && stripeService.isConfigured()) {
+      await Promise.all(stripeCustomerIds.map(customerId =>
+        stripeService.updateCustomer(customerId, { metadata: { clientId: String(survivor._id) } })
+          .catch(stripeError => console.error('Merge Stripe customer update error:', stripeError))
+      ));
+    }
+
+    await Activity.logClientsMerged(
+      survivor._id,
+      req.userId,
+      merged.map(client => ({ _id: client._id, name: client.name, email: client.email })),
+      fieldSources,
+      req.user.impersonatedBy
+    );
+
+    res.json({
+      message: `Merged ${merged.length} client(s) successfully`,
+      client: survivor,
+      mergedClientIds: mergeIds,
+      movedActivities: movedActivities.modifiedCount,
+      movedContacts: movedContacts.modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge clients error:', error);
+    res.status(500).json({
+      message: 'Error merging clients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Import clients from CSV with enhanced validation
 const importClients = async (req, res) => {
   try {
@@ -1059,6 +1837,9 @@ const importClients = async (req, res) => {
     Object.entries(columnMap).forEach(([k, v]) => {
       normalizedMap.set(normalizeHeader(k), v);
     });
+    // Columns named after a custom field (label or key) fill customFields
+    const customFieldDefinitions = await CustomField.findAllCached();
+    const customFieldColumns = buildCustomFieldColumnMap(customFieldDefinitions, normalizeHeader);
     const sensitiveFields = new Set([
       // Keep only legacy spaced headers sensitive for tokenization
       'Name on Card',
@@ -1107,6 +1888,7 @@ const importClients = async (req, res) => {
         zipCodeText: ''
       };
       const paymentRaw = { ccNumber: '', ccExp: '', ccCvv: '', nameOnCard: '', billingZip: '' };
+      const contactColumns = {};
       for (const [key, rawVal] of Object.entries(data)) {
         const header = (key || '').trim();
         const nHeader = normalizeHeader(header);
@@ -1132,6 +1914,21 @@ const importClients = async (req, res) => {
           continue; // don't map sensitive columns directly to model
         }
 
+        const customKey = !normalizedMap.has(nHeader) && customFieldColumns.get(nHeader);
+        if (customKey) {
+          mapped.customFields = { ...mapped.customFields, [customKey]: valueStr };
+          continue;
+        }
+
+        // "Contact <n> <field>" columns become contacts of the client
+        const contactColumn = !normalizedMap.has(nHeader) && parseContactColumn(nHeader);
+        if (contactColumn) {
+          if (valueStr !== '') {
+            contactColumns[contactColumn.index] = { ...contactColumns[contactColumn.index], [contactColumn.field]: valueStr };
+          }
+          continue;
+        }
+
         const target = normalizedMap.get(nHeader) || header;
         let value = rawVal;
         // Special handling: treat compact headers as plain text
@@ -1163,6 +1960,10 @@ const importClients = async (req, res) => {
       if (Object.values(paymentRaw).some(v => (v || '').toString().trim() !== '')) {
         mapped.__paymentRaw = paymentRaw;
       }
+      const contacts = contactsFromColumns(contactColumns);
+      if (contacts.length > 0) {
+        mapped.__contacts = contacts;
+      }
       return { rowNumber, data: mapped };
     });
     if (mappedRows.length > 0) {
@@ -1189,7 +1990,7 @@ const importClients = async (req, res) => {
     });
     
     // Validate all rows
-    const validation = await batchValidateClients(mappedRows);
+    const validation = await batchValidateClients(mappedRows, { customFields: customFieldDefinitions });
     console.log('[importClients] Validation summary:', {
       totalRows: validation.totalRows,
       valid: validation.validCount,
@@ -1246,16 +2047,26 @@ const importClients = async (req, res) => {
     let skippedCount = skipInvalid ? validation.invalidCount : 0;
     let createdCount = 0;
     let updatedCount = 0;
+    let contactsImportedCount = 0;
 
     // Prepare bulkWrite operations and metadata
     const ops = [];
-    const opMeta = []; // { type, filter, rowNumber, name, paymentRaw }
+    const opMeta = []; // { type, filter, rowNumber, name, paymentRaw, contacts }
+
+    const EXCLUDE_KEYS = new Set(['_id', 'paymentMethod', 'statusHistory', 'createdAt', 'updatedAt', '__v', '__paymentRaw', '__contacts', 'customFields']);
 
-    const EXCLUDE_KEYS = new Set(['_id', 'paymentMethod', 'statusHistory', 'createdAt', 'updatedAt', '__v', '__paymentRaw']);
+    // Rows can only update clients the user can see, and not ones in the trash
+    const scope = await getClientScope(req.user);
+    const rowFilter = (data) => (data._id ? { _id: data._id } : (data.email ? { email: data.email } : null));
+    const importConflict = await checkImportTargets(
+      validation.validRows.map(validRow => rowFilter(validRow.data)).filter(Boolean),
+      scope
+    );
 
     for (const validRow of validation.validRows) {
       const src = mappedRows.find(r => r.rowNumber === validRow.rowNumber);
       const paymentRaw = src?.data?.__paymentRaw;
+      const contacts = src?.data?.__contacts;
       const data = { ...validRow.data };
       delete data.__paymentRaw;
 
@@ -1267,6 +2078,10 @@ const importClients = async (req, res) => {
       for (const [k, v] of Object.entries(data)) {
         if (!EXCLUDE_KEYS.has(k)) setPayload[k] = v;
       }
+      // Custom fields are set one by one so updates keep values the CSV doesn't mention
+      const customFieldSet = Object.fromEntries(
+        Object.entries(data.customFields || {}).map(([key, value]) => [`customFields.${key}`, value])
+      );
       // Debug: show first row's $set preview including payment fields
       if (opMeta.length === 0) {
         console.log('[importClients] First $set payload preview (sanitized):', {
@@ -1282,11 +2097,15 @@ const importClients = async (req, res) => {
         });
       }
 
-      const hasId = !!data._id;
-      const hasEmail = !!data.email;
+      const filter = rowFilter(data);
+      const conflict = filter && importConflict(filter);
+      if (conflict) {
+        errorCount++;
+        errors.push({ row: validRow.rowNumber, name: data.name || 'N/A', error: conflict, conflict: true });
+        continue;
+      }
 
-      if (hasId || hasEmail) {
-        const filter = hasId ? { _id: data._id } : { email: data.email };
+      if (filter) {
         // Honor CSV createdAt only on insert
         let createdOnInsert = new Date();
         if (data.createdAt) {
@@ -1294,11 +2113,11 @@ const importClients = async (req, res) => {
           if (!isNaN(dt.getTime())) createdOnInsert = dt;
         }
         const update = {
-          $set: setPayload,
+          $set: { ...setPayload, ...customFieldSet },
           $setOnInsert: { createdAt: createdOnInsert }
         };
-        ops.push({ updateOne: { filter, update, upsert: true } });
-        opMeta.push({ type: 'update', filter, rowNumber: validRow.rowNumber, name: data.name, email: data.email, paymentRaw });
+        ops.push({ updateOne: { filter: importFilter(filter, scope), update, upsert: true } });
+        opMeta.push({ type: 'update', filter, rowNumber: validRow.rowNumber, name: data.name, email: data.email, paymentRaw, contacts });
       } else {
         // No identifier, perform insertOne
         let createdAtInsert = new Date();
@@ -1308,11 +2127,12 @@ const importClients = async (req, res) => {
         }
         const insertDoc = {
           ...setPayload,
+          ...(data.customFields && { customFields: data.customFields }),
           createdAt: createdAtInsert,
           updatedAt: new Date()
         };
         ops.push({ insertOne: { document: insertDoc } });
-        opMeta.push({ type: 'insert', filter: null, rowNumber: validRow.rowNumber, name: data.name, email: setPayload.email, paymentRaw });
+        opMeta.push({ type: 'insert', filter: null, rowNumber: validRow.rowNumber, name: data.name, email: setPayload.email, paymentRaw, contacts });
       }
     }
 
@@ -1339,6 +2159,20 @@ const importClients = async (req, res) => {
     createdCount = (upsertedCount || 0) + (insertedCount || 0);
     updatedCount = matchedCount || 0;
 
+    // Address columns fill the default billing address (bulk writes skip the save hook)
+    const touchedIds = [];
+    const touchedEmails = [];
+    opMeta.forEach((m, idx) => {
+      const clientId = insertedIds[idx] || upsertedIds[idx] || m.filter?._id;
+      if (clientId) touchedIds.push(clientId);
+      else if (m.filter?.email) touchedEmails.push(m.filter.email);
+    });
+    try {
+      await Client.syncAddressesFromLegacy({ $or: [{ _id: { $in: touchedIds } }, { email: { $in: touchedEmails } }] });
+    } catch (e) {
+      console.warn('[importClients] syncAddressesFromLegacy warning:', e?.message || e);
+    }
+
     // Build list of created client ids for batched activity creation
     const createdEntries = [];
     opMeta.forEach((m, idx) => {
@@ -1374,6 +2208,7 @@ const importClients = async (req, res) => {
         .map(({ _id, name }) => ({
           clientId: _id,
           userId: req.userId,
+          impersonatedBy: req.user.impersonatedBy || null,
           type: 'created',
           description: `Client "${name || ''}" was created`,
           metadata: { clientName: name || '', createdAt: new Date() }
@@ -1387,6 +2222,57 @@ const importClients = async (req, res) => {
       }
     }
 
+    // Upsert contacts from contact columns, matched to existing contacts by email or name
+    const contactRows = [];
+    const contactEmailsToResolve = new Set();
+    opMeta.forEach((m, idx) => {
+      if (!m.contacts) return;
+      let clientId = null;
+      if (m.type === 'insert' && insertedIds[idx]) clientId = insertedIds[idx];
+      if (m.type === 'update') clientId = upsertedIds[idx] || m.filter._id || null;
+      if (!clientId && (m.filter?.email || m.email)) contactEmailsToResolve.add(m.filter?.email || m.email);
+      contactRows.push({ clientId, email: m.filter?.email || m.email, contacts: m.contacts });
+    });
+    if (contactRows.length > 0) {
+      try {
+        if (contactEmailsToResolve.size > 0) {
+          const docs = await Client.find({ email: { $in: Array.from(contactEmailsToResolve) } }, { _id: 1, email: 1 }).lean();
+          const map = docs.reduce((acc, d) => { acc[d.email] = d._id; return acc; }, {});
+          contactRows.forEach(r => { if (!r.clientId && r.email) r.clientId = map[r.email] || null; });
+        }
+
+        const contactOps = [];
+        const contactClientIds = [];
+        contactRows.filter(r => r.clientId).forEach(({ clientId, contacts }) => {
+          contactClientIds.push(String(clientId));
+          contacts.forEach(({ isPrimary, ...contact }) => {
+            if (isPrimary) {
+              contactOps.push({ updateMany: { filter: { clientId, isPrimary: true }, update: { $set: { isPrimary: false } } } });
+            }
+            const fields = Object.fromEntries(Object.entries(contact).filter(([, v]) => v !== undefined));
+            contactOps.push({
+              updateOne: {
+                filter: contact.email ? { clientId, email: contact.email } : { clientId, name: contact.name },
+                update: {
+                  $set: { ...fields, ...(isPrimary && { isPrimary: true }) },
+                  $setOnInsert: { createdBy: req.userId, ...(!isPrimary && { isPrimary: false }) }
+                },
+                upsert: true
+              }
+            });
+            contactsImportedCount++;
+          });
+        });
+        if (contactOps.length > 0) {
+          // Ordered so a primary flag demotes the previous primary before it is set
+          await Contact.bulkWrite(contactOps, { ordered: true });
+          await Contact.assignMissingPrimary(contactClientIds);
+        }
+      } catch (e) {
+        console.warn('[importClients] bulkWrite(Contact) warning:', e?.message || e);
+      }
+    }
+
     // Prepare payment tasks (resolve client IDs first when needed)
     const paymentTasks = [];
     const emailToResolve = new Set();
@@ -1498,7 +2384,8 @@ const importClients = async (req, res) => {
         created: createdCount,
         updated: updatedCount,
         paymentAttempted: paymentAttemptedCount,
-        paymentAdded: paymentAddedCount
+        paymentAdded: paymentAddedCount,
+        contactsImported: contactsImportedCount
       },
       // For performance, omit large per-row results on big imports
       results: results,
@@ -1578,11 +2465,21 @@ const previewClientsCSV = async (req, res) => {
       'Security Code',
       'Zip Code'
     ]);
+    const customFieldDefinitions = await CustomField.findAllCached();
+    const normalizeHeader = (h) => String(h || '').replace(/_/g, ' ').trim().toLowerCase().replace(/\s+/g, ' ');
+    const customFieldColumns = buildCustomFieldColumnMap(customFieldDefinitions, normalizeHeader);
 
     const mappedPreviewRows = preview.rows.map(({ rowNumber, data }) => {
       const mapped = {};
       for (const [key, value] of Object.entries(data)) {
         if (sensitiveFields.has(key)) continue;
+        const customKey = !columnMap[key] && customFieldColumns.get(normalizeHeader(key));
+        if (customKey) {
+          mapped.customFields = { ...mapped.customFields, [customKey]: value };
+          continue;
+        }
+        // Contact columns are imported as contacts, not client fields
+        if (!columnMap[key] && parseContactColumn(normalizeHeader(key))) continue;
         const target = columnMap[key] || key;
         mapped[target] = value;
       }
@@ -1604,7 +2501,7 @@ const previewClientsCSV = async (req, res) => {
     });
     
     // Validate preview rows
-    const validation = await batchValidateClients(mappedPreviewRows);
+    const validation = await batchValidateClients(mappedPreviewRows, { customFields: customFieldDefinitions });
 
     res.json({
       message: 'CSV preview generated',
@@ -1631,8 +2528,8 @@ const previewClientsCSV = async (req, res) => {
         rowsWithWarnings: validation.warningCount
       },
       columnMapping: {
-        suggestedMappings: detectColumnMappings(preview.headers),
-        availableFields: getAvailableClientFields()
+        suggestedMappings: detectColumnMappings(preview.headers, customFieldDefinitions),
+        availableFields: getAvailableClientFields(customFieldDefinitions)
       }
     });
   } catch (error) {
@@ -1647,12 +2544,29 @@ const previewClientsCSV = async (req, res) => {
 // Export clients to CSV with enhanced options
 const exportClients = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { view, error: viewError } = await resolveSavedView(req);
+    if (viewError) {
+      return res.status(404).json({ message: viewError });
+    }
+
     const {
       contactStatus,
       industry,
       city,
       ownedBy,
-      search,
+      search = view?.search,
+      tags,
+      tagMatch,
+      filter,
       dateFormat = 'ISO',
       includeOwnerDetails = 'true',
       includeFinancials = 'true',
@@ -1671,33 +2585,54 @@ const exportClients = async (req, res) => {
     }
     
     if (city) {
-      query.city = new RegExp(city, 'i');
+      query.city = new RegExp(escapeRegex(city), 'i');
     }
     
     if (ownedBy) {
       query.ownedBy = ownedBy;
     }
     
-    if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { phone: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') }
-      ];
+    // Same text search as the client list, most relevant first
+    const textFilter = buildClientSearchFilter(search);
+    if (textFilter) {
+      Object.assign(query, textFilter);
+    }
+
+    applyClientFilter(query, buildTagFilter(tags, tagMatch));
+
+    // An export must match what the view shows, so a view with an invalid filter is refused
+    if (view) {
+      const { filter: viewFilter, error } = await view.parseFilter();
+      if (error) {
+        return res.status(400).json({
+          message: 'The saved view\'s filter is no longer valid. Update the view and try again.',
+          filterError: error
+        });
+      }
+      applyClientFilter(query, viewFilter);
+    }
+    applyClientFilter(query, parseClientFilter(filter, await CustomField.getFilterFields()));
+
+    // Views export in their own sort order
+    let sort = textFilter ? relevanceSort : { createdAt: -1 };
+    if (view && view.sortBy !== 'relevance') {
+      sort = { [view.sortBy]: view.sortOrder === 'asc' ? 1 : -1 };
     }
 
-    // Fetch clients with owner details
-    const clients = await Client.find(query)
+    // Fetch clients the user can see, with owner details
+    const scope = await getClientScope(req.user);
+    const clients = await Client.find(applyClientScope(query, scope), textFilter ? relevanceProjection : undefined)
       .populate('ownedBy', 'name email')
-      .sort({ createdAt: -1 });
+      .sort(sort);
 
     // Generate CSV using the utility
     const csvContent = await generateClientsCSV(clients, {
       dateFormat,
       includeOwnerDetails: includeOwnerDetails === 'true',
       includeFinancials: includeFinancials === 'true',
-      includeStatusHistory: includeStatusHistory === 'true'
+      includeStatusHistory: includeStatusHistory === 'true',
+      customFields: await CustomField.findAllCached(),
+      columns: view?.columns?.length ? view.columns : undefined
     });
 
     // Set response headers for CSV download
@@ -1733,8 +2668,21 @@ const downloadClientsTemplate = async (req, res) => {
   }
 };
 
+// Describe the fields and operators accepted by the `filter` parameter
+const getClientFilterFields = async (req, res) => {
+  try {
+    res.json({ fields: describeClientFilterFields(await CustomField.getFilterFields()) });
+  } catch (error) {
+    console.error('Get client filter fields error:', error);
+    res.status(500).json({
+      message: 'Error fetching filter fields',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Helper function to detect column mappings
-const detectColumnMappings = (headers) => {
+const detectColumnMappings = (headers, customFields = []) => {
   const mappings = {};
   const commonMappings = {
     'name': ['name', 'company', 'company name', 'client name', 'business name'],
@@ -1751,6 +2699,17 @@ const detectColumnMappings = (headers) => {
 
   headers.forEach(header => {
     const lowerHeader = header.toLowerCase().trim();
+    // Exact custom field label/key matches win over the fuzzy built-in guesses
+    const customField = customFields.find(f => [f._id.toLowerCase(), f.label.toLowerCase()].includes(lowerHeader));
+    if (customField) {
+      mappings[header] = `customFields.${customField._id}`;
+      return;
+    }
+    const contactColumn = parseContactColumn(lowerHeader.replace(/_/g, ' ').replace(/\s+/g, ' '));
+    if (contactColumn) {
+      mappings[header] = `contacts.${contactColumn.index}.${contactColumn.field}`;
+      return;
+    }
     for (const [field, variations] of Object.entries(commonMappings)) {
       if (variations.some(v => lowerHeader.includes(v))) {
         mappings[header] = field;
@@ -1763,7 +2722,7 @@ const detectColumnMappings = (headers) => {
 };
 
 // Helper function to get available client fields
-const getAvailableClientFields = () => {
+const getAvailableClientFields = (customFields = []) => {
   return [
     { field: 'name', label: 'Name', required: true },
     { field: 'email', label: 'Email', required: false },
@@ -1783,13 +2742,15 @@ const getAvailableClientFields = () => {
     { field: 'projectedCloseDate', label: 'Projected Close Date', required: false },
     { field: 'fullName', label: 'Full Name', required: false },
     { field: 'description', label: 'Description', required: false },
-    { field: 'lastNote', label: 'Last Note', required: false }
+    { field: 'lastNote', label: 'Last Note', required: false },
+    ...customFields.map(f => ({ field: `customFields.${f._id}`, label: f.label, required: f.required, type: f.type }))
   ];
 };
 
 module.exports = {
   listClients,
   getClient,
+  getClientHierarchy,
   createClient,
   updateClient,
   deleteClient,
@@ -1799,10 +2760,15 @@ module.exports = {
   getClientPipeline,
   getClientSummary,
   bulkAssignOwner,
+  bulkTagClients,
+  bulkUntagClients,
   bulkMoveStatus,
   importClients,
   importClientsBatch,
   exportClients,
   previewClientsCSV,
-  downloadClientsTemplate
+  downloadClientsTemplate,
+  getClientFilterFields,
+  findDuplicateClients,
+  mergeClients
 };
\ No newline at end of file
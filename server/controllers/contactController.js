@@ -0,0 +1,226 @@
+const Contact = require('../models/Contact');
+const { validationResult } = require('express-validator');
+const { findAccessibleClient } = require('../utils/clientScope');
+
+// Fields that can be set on a contact
+const CONTACT_FIELDS = ['name', 'title', 'email', 'phone', 'role'];
+
+// List a client's contacts, primary first
+const listContacts = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const client = await findAccessibleClient(req.user, req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    const contacts = await Contact.find({ clientId: client._id }).sort({ isPrimary: -1, name: 1 });
+
+    res.json({ contacts });
+  } catch (error) {
+    console.error('List contacts error:', error);
+    res.status(500).json({
+      message: 'Error fetching contacts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a single contact of a client
+const getContact = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const client = await findAccessibleClient(req.user, req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.contactId, clientId: client._id });
+    if (!contact) {
+      return res.status(404).json({
+        message: 'Contact not found'
+      });
+    }
+
+    res.json({ contact });
+  } catch (error) {
+    console.error('Get contact error:', error);
+    res.status(500).json({
+      message: 'Error fetching contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add a contact to a client; the first contact becomes the primary one
+const createContact = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const client = await findAccessibleClient(req.user, req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    const data = {};
+    for (const field of CONTACT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    }
+
+    const contact = await Contact.create({
+      ...data,
+      clientId: client._id,
+      createdBy: req.userId
+    });
+
+    const hasPrimary = await Contact.exists({ clientId: client._id, isPrimary: true });
+    if (req.body.isPrimary || !hasPrimary) {
+      await Contact.setPrimary(client._id, contact._id);
+      contact.isPrimary = true;
+    }
+
+    res.status(201).json({
+      message: 'Contact created successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Create contact error:', error);
+    res.status(500).json({
+      message: 'Error creating contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a contact; making it primary demotes the previous primary contact
+const updateContact = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const client = await findAccessibleClient(req.user, req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.contactId, clientId: client._id });
+    if (!contact) {
+      return res.status(404).json({
+        message: 'Contact not found'
+      });
+    }
+
+    for (const field of CONTACT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        contact[field] = req.body[field];
+      }
+    }
+    await contact.save();
+
+    // A client keeps a primary contact; it changes by promoting another one
+    if (req.body.isPrimary === true && !contact.isPrimary) {
+      await Contact.setPrimary(client._id, contact._id);
+      contact.isPrimary = true;
+    }
+
+    res.json({
+      message: 'Contact updated successfully',
+      contact
+    });
+  } catch (error) {
+    console.error('Update contact error:', error);
+    res.status(500).json({
+      message: 'Error updating contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a contact; if it was primary, the oldest remaining contact takes over
+const deleteContact = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const client = await findAccessibleClient(req.user, req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        message: 'Client not found'
+      });
+    }
+
+    const contact = await Contact.findOneAndDelete({ _id: req.params.contactId, clientId: client._id });
+    if (!contact) {
+      return res.status(404).json({
+        message: 'Contact not found'
+      });
+    }
+
+    if (contact.isPrimary) {
+      await Contact.assignMissingPrimary([client._id]);
+    }
+
+    res.json({
+      message: 'Contact deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete contact error:', error);
+    res.status(500).json({
+      message: 'Error deleting contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact
+};
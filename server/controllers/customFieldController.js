@@ -0,0 +1,188 @@
+const CustomField = require('../models/CustomField');
+const Client = require('../models/Client');
+const SavedView = require('../models/SavedView');
+const { validationResult } = require('express-validator');
+
+// Fields that can change after creation (the key and type are fixed once values exist)
+const EDITABLE_FIELDS = ['label', 'required', 'options', 'position'];
+
+// List the custom field definitions in display order
+const listCustomFields = async (req, res) => {
+  try {
+    const fields = await CustomField.find().sort({ position: 1, label: 1 });
+
+    res.json({ fields });
+  } catch (error) {
+    console.error('List custom fields error:', error);
+    res.status(500).json({
+      message: 'Error fetching custom fields',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Define a new custom client field
+const createCustomField = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, label, type, required = false, options = [], position } = req.body;
+
+    const existing = await CustomField.exists({ _id: key });
+    if (existing) {
+      return res.status(409).json({
+        message: 'A custom field with this key already exists'
+      });
+    }
+
+    const field = await CustomField.create({
+      _id: key,
+      label,
+      type,
+      required,
+      options,
+      position: position ?? await CustomField.countDocuments(),
+      createdBy: req.userId,
+      updatedBy: req.userId
+    });
+    CustomField.clearCache();
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => ({ path: e.path, msg: e.message }))
+      });
+    }
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      message: 'Error creating custom field',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a custom field's label, required flag, options or position
+const updateCustomField = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const field = await CustomField.findById(req.params.key);
+    if (!field) {
+      return res.status(404).json({
+        message: 'Custom field not found'
+      });
+    }
+
+    if (req.body.type !== undefined && req.body.type !== field.type) {
+      return res.status(400).json({
+        message: 'A custom field\'s type cannot be changed. Create a new field instead.'
+      });
+    }
+
+    for (const name of EDITABLE_FIELDS) {
+      if (req.body[name] !== undefined) {
+        field[name] = req.body[name];
+      }
+    }
+    field.updatedBy = req.userId;
+
+    await field.save();
+    CustomField.clearCache();
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => ({ path: e.path, msg: e.message }))
+      });
+    }
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      message: 'Error updating custom field',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a custom field and its values on every client
+const deleteCustomField = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const field = await CustomField.findById(req.params.key);
+    if (!field) {
+      return res.status(404).json({
+        message: 'Custom field not found'
+      });
+    }
+
+    // Saved views filtering on the field would stop working
+    const path = `customFields.${field._id}`;
+    const views = await SavedView.find({ filter: { $ne: null } }).select('name filter').lean();
+    const usedBy = views.filter(view => JSON.stringify(view.filter).includes(`"field":"${path}"`));
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        message: 'Custom field is used by saved view filters. Remove it from those views first.',
+        views: usedBy.map(view => ({ _id: view._id, name: view.name }))
+      });
+    }
+
+    await CustomField.deleteOne({ _id: field._id });
+    CustomField.clearCache();
+
+    // Trashed clients too, so a restored client has no orphaned value
+    const result = await Client.updateMany(
+      { [path]: { $exists: true } },
+      { $unset: { [path]: '' } },
+      { withDeleted: true }
+    );
+
+    res.json({
+      message: 'Custom field deleted successfully',
+      clearedClients: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      message: 'Error deleting custom field',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
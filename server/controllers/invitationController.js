@@ -0,0 +1,203 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { validationResult } = require('express-validator');
+const mailService = require('../services/mailService');
+
+// Invitation links are valid for this many days
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS || '7', 10);
+
+
+// Create and email a new invitation
+const createInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, department } = req.body;
+    const normalizedEmail = email.toLowerCase();
+
+    // Inviters can't hand out permissions they don't hold themselves
+    if (!(await Role.canAssign(req.user.role, role))) {
+      return res.status(403).json({
+        message: `You are not allowed to invite users with the ${role} role`
+      });
+    }
+
+    const existingUser = await User.exists({ _id: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({
+        message: 'User with this email already exists'
+      });
+    }
+
+    // A new invite supersedes any earlier pending invite for the same address
+    await Invitation.updateMany(
+      { email: normalizedEmail, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.userId } }
+    );
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      department,
+      invitedBy: req.userId
+    });
+    const token = invitation.issueToken(INVITATION_EXPIRE_DAYS);
+    await invitation.save();
+
+    try {
+      await mailService.sendInvitation(invitation, req.user.name || req.userId, token, INVITATION_EXPIRE_DAYS);
+    } catch (mailError) {
+      // Don't leave an invite around that nobody received
+      await Invitation.deleteOne({ _id: invitation._id });
+      throw mailError;
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      message: 'Error creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// List invitations with optional status filter
+const listInvitations = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, email } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (email) {
+      query.email = email.toLowerCase();
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(500);
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      message: 'Error fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Re-issue the token and resend the invitation email
+const resendInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { invitationId } = req.params;
+
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({
+        message: 'Pending invitation not found'
+      });
+    }
+
+    if (!(await Role.canAssign(req.user.role, invitation.role))) {
+      return res.status(403).json({
+        message: `You are not allowed to invite users with the ${invitation.role} role`
+      });
+    }
+
+    // New token invalidates the previously emailed link
+    const token = invitation.issueToken(INVITATION_EXPIRE_DAYS);
+    await invitation.save();
+
+    await mailService.sendInvitation(invitation, req.user.name || req.userId, token, INVITATION_EXPIRE_DAYS);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      message: 'Error resending invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { invitationId } = req.params;
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation
+};
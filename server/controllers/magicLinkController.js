@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const RateLimit = require('../models/RateLimit');
+const AuthEvent = require('../models/AuthEvent');
+const { validationResult } = require('express-validator');
+const mailService = require('../services/mailService');
+const loginProtection = require('../services/loginProtectionService');
+const { createSessionTokens, createTwoFactorChallenge } = require('../utils/authTokens');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Sign-in links are valid for this many minutes
+const MAGIC_LINK_EXPIRE_MINUTES = readInt('MAGIC_LINK_EXPIRE_MINUTES', 10);
+
+// Requests allowed per window, per email address and per client IP
+const MAGIC_LINK_LIMITS = {
+  email: { limit: readInt('MAGIC_LINK_MAX_REQUESTS', 3), windowMinutes: readInt('MAGIC_LINK_WINDOW_MINUTES', 15) },
+  ip: { limit: readInt('MAGIC_LINK_IP_MAX_REQUESTS', 20), windowMinutes: readInt('MAGIC_LINK_WINDOW_MINUTES', 15) }
+};
+
+const magicLinkDisabledResponse = {
+  message: 'Sign-in links are not enabled',
+  code: 'MAGIC_LINK_DISABLED'
+};
+
+// Email a one-time sign-in link
+const requestMagicLink = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const security = await Setting.getValue('security');
+    if (!security.magicLinkEnabled) {
+      return res.status(403).json(magicLinkDisabledResponse);
+    }
+
+    const email = req.body.email.toLowerCase();
+
+    // Limit by address (mailbox flooding) and by IP (enumeration)
+    for (const [scope, identifier] of [['email', email], ['ip', req.ip]]) {
+      const result = await RateLimit.hit(`magic_link:${scope}:${identifier}`, MAGIC_LINK_LIMITS[scope]);
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+          message: 'Too many sign-in link requests. Please wait before trying again.',
+          code: 'MAGIC_LINK_THROTTLED',
+          retryAfter: result.retryAfterSeconds
+        });
+      }
+    }
+
+    // Same response whether or not the account exists to avoid leaking emails
+    const genericResponse = {
+      message: 'If an account exists for that email, a sign-in link has been sent'
+    };
+
+    const user = await User.findById(email);
+    if (!user || user.status !== 'active') {
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new link replaces (and invalidates) any previous one
+    const token = user.createMagicLinkToken(MAGIC_LINK_EXPIRE_MINUTES);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { magicLinkToken: user.magicLinkToken, magicLinkExpire: user.magicLinkExpire } },
+      { runValidators: false }
+    );
+
+    try {
+      await mailService.sendMagicLink(user, token, MAGIC_LINK_EXPIRE_MINUTES);
+    } catch (mailError) {
+      // Roll back the token so an undeliverable link can't linger
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } }
+      );
+      throw mailError;
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Request magic link error:', error);
+    res.status(500).json({
+      message: 'Error sending sign-in link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Exchange a sign-in link token for session tokens (same response as login)
+const verifyMagicLink = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const security = await Setting.getValue('security');
+    if (!security.magicLinkEnabled) {
+      return res.status(403).json(magicLinkDisabledResponse);
+    }
+
+    // Consumed even if the rest of the login fails, so the link can never be replayed
+    const user = await User.consumeMagicLinkToken(req.body.token);
+    if (!user || user.status !== 'active') {
+      await AuthEvent.record('login_failed', {
+        email: user?.email,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        metadata: { method: 'magic_link', reason: user ? 'inactive' : 'invalid_link' }
+      });
+      return res.status(400).json({
+        message: 'Sign-in link is invalid or has expired'
+      });
+    }
+
+    const attemptContext = {
+      email: user.email,
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Links don't bypass an active lockout
+    const block = await loginProtection.check(attemptContext);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfterSeconds));
+      return res.status(429).json(loginProtection.describeBlock(block));
+    }
+
+    // Opening the link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      await User.updateOne({ _id: user._id }, { $set: { emailVerified: true } }, { runValidators: false });
+      user.emailVerified = true;
+    }
+
+    // As with password login, an expired password only unlocks change-password
+    const passwordChangeRequired = await isPasswordExpired(user);
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user, { passwordChangeRequired })
+      });
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(user, req, { passwordChangeRequired });
+
+    // Update last login
+    await user.updateLastLogin();
+    await loginProtection.recordSuccess({ ...attemptContext, metadata: { method: 'magic_link' } });
+
+    // Users whose role requires 2FA can only reach enrollment until they set it up
+    const twoFactorSetupRequired = security.twoFactorRequiredRoles.includes(user.role);
+
+    res.json({
+      message: passwordChangeRequired ? 'Password expired. Please choose a new password.' : 'Login successful',
+      user: user.toJSON(),
+      ...tokens,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+      ...(passwordChangeRequired && { passwordChangeRequired })
+    });
+  } catch (error) {
+    console.error('Verify magic link error:', error);
+    res.status(500).json({
+      message: 'Error signing in with link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  requestMagicLink,
+  verifyMagicLink
+};
@@ -0,0 +1,285 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Setting = require('../models/Setting');
+const AuthEvent = require('../models/AuthEvent');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const { validationResult } = require('express-validator');
+const { generateToken } = require('../utils/tokenUtils');
+const { createSessionTokens, createTwoFactorChallenge } = require('../utils/authTokens');
+const oidc = require('../services/oidcService');
+const loginProtection = require('../services/loginProtectionService');
+
+// The state of a started login is also kept in this cookie, and the callback must come
+// from the same browser: otherwise an attacker could complete their own login in a
+// victim's browser (login CSRF). Lives as long as the pending OidcAuthRequest.
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcStateCookieOptions = () => {
+  // Cross-site frontends only send the cookie with SameSite=None, which requires HTTPS
+  const secure = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? 'none' : 'lax',
+    path: '/api/auth/oidc'
+  };
+};
+
+// Read one cookie from the request (the app doesn't parse cookies otherwise)
+const readCookie = (req, name) => {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Only same-site paths are accepted as post-login destinations
+const isSafeRedirect = (value) => typeof value === 'string' && /^\/(?!\/)/.test(value);
+
+// Build a display name from standard OIDC profile claims
+const nameFromClaims = (claims, email) => {
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  const trimmed = String(name || '').trim();
+  return (trimmed.length >= 2 ? trimmed : email).slice(0, 100);
+};
+
+// Describe the login options for the login page (public)
+const getOidcConfig = async (req, res) => {
+  try {
+    const security = await Setting.getValue('security');
+
+    res.json({
+      sso: oidc.describe(),
+      passwordLoginEnabled: security.passwordLoginEnabled,
+      magicLinkEnabled: security.magicLinkEnabled
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+    res.status(500).json({
+      message: 'Error fetching login options',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Start a single sign-on login: returns the identity provider URL to redirect to
+const startOidcLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { redirectTo } = req.query;
+    const { url: authorizationUrl, state, expiresAt } = await oidc.createAuthorizationUrl({
+      redirectTo: isSafeRedirect(redirectTo) ? redirectTo : undefined,
+      ip: req.ip
+    });
+
+    res.cookie(OIDC_STATE_COOKIE, state, { ...oidcStateCookieOptions(), expires: expiresAt });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error('Start SSO login error:', error);
+    res.status(502).json({
+      message: 'Could not reach the identity provider',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Finish a single sign-on login with the code and state from the provider redirect
+const completeOidcLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { code, state } = req.body;
+    const auditContext = { ip: req.ip, userAgent: req.get('user-agent') };
+
+    // The state must be the one this browser started with
+    const browserState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions());
+    if (!browserState || browserState !== state) {
+      await AuthEvent.record('login_failed', {
+        ...auditContext,
+        metadata: { method: 'oidc', reason: 'state_mismatch' }
+      });
+      return res.status(400).json({
+        message: 'Single sign-on request is invalid or has expired. Please try again.'
+      });
+    }
+
+    const request = await OidcAuthRequest.consume(state);
+    if (!request) {
+      return res.status(400).json({
+        message: 'Single sign-on request is invalid or has expired. Please try again.'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await oidc.exchangeCode(request, code);
+    } catch (exchangeError) {
+      console.error('SSO code exchange error:', exchangeError);
+      await AuthEvent.record('login_failed', {
+        ...auditContext,
+        metadata: { method: 'oidc', reason: 'token_exchange_failed' }
+      });
+      return res.status(401).json({
+        message: 'Single sign-on failed. Please try again.'
+      });
+    }
+
+    // Email is the account key, so only accept addresses the provider has verified
+    const email = String(claims.email || '').trim().toLowerCase();
+    if (!email || !oidc.isEmailVerified(claims)) {
+      await AuthEvent.record('login_failed', {
+        ...auditContext,
+        email: email || undefined,
+        metadata: { method: 'oidc', reason: 'email_not_verified', subject: claims.sub }
+      });
+      return res.status(403).json({
+        message: 'Your identity provider did not supply a verified email address'
+      });
+    }
+
+    const attemptContext = { ...auditContext, email, userId: email };
+
+    // Group claims decide the role when a mapping matches
+    let mappedRole = oidc.resolveRole(claims);
+    if (mappedRole && !(await Role.findCached(mappedRole))) {
+      console.warn(`SSO role mapping points to unknown role "${mappedRole}"; ignoring`);
+      mappedRole = null;
+    }
+
+    let user = await User.findById(email);
+    let provisioned = false;
+
+    if (!user) {
+      if (!oidc.config.autoProvision) {
+        await AuthEvent.record('login_failed', {
+          ...attemptContext,
+          metadata: { method: 'oidc', reason: 'no_account' }
+        });
+        return res.status(403).json({
+          message: 'No account exists for this email. Please contact an administrator.'
+        });
+      }
+
+      // Just-in-time provisioning; the random password is never shared
+      // (the user can set one through forgot-password if password login is enabled)
+      user = new User({
+        email,
+        name: nameFromClaims(claims, email),
+        password: generateToken(32),
+        role: mappedRole || oidc.config.defaultRole,
+        emailVerified: true
+      });
+      try {
+        await user.save();
+      } catch (saveError) {
+        if (saveError.name !== 'ValidationError') {
+          throw saveError;
+        }
+        console.error('SSO provisioning error:', saveError);
+        return res.status(400).json({
+          message: 'Could not create an account from your identity provider profile',
+          error: process.env.NODE_ENV === 'development' ? saveError.message : undefined
+        });
+      }
+      provisioned = true;
+    } else {
+      if (user.status !== 'active') {
+        return res.status(403).json({
+          message: 'Account is inactive. Please contact administrator.'
+        });
+      }
+
+      // Keep the role in sync with the provider's groups and trust its email verification
+      const updates = {};
+      if (mappedRole && mappedRole !== user.role) {
+        updates.role = mappedRole;
+      }
+      if (!user.emailVerified) {
+        updates.emailVerified = true;
+      }
+      if (Object.keys(updates).length > 0) {
+        await User.updateOne({ _id: user._id }, { $set: updates }, { runValidators: false });
+        Object.assign(user, updates);
+      }
+    }
+
+    // Accounts enrolled in 2FA still complete the second step
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user),
+        redirectTo: request.redirectTo
+      });
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(user, req);
+
+    // Update last login
+    await user.updateLastLogin();
+    await loginProtection.recordSuccess({
+      ...attemptContext,
+      metadata: { method: 'oidc', subject: claims.sub, provisioned }
+    });
+
+    // Users whose role requires 2FA can only reach enrollment until they set it up
+    const security = await Setting.getValue('security');
+    const twoFactorSetupRequired = security.twoFactorRequiredRoles.includes(user.role);
+
+    res.json({
+      message: 'Login successful',
+      user: user.toJSON(),
+      ...tokens,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+      ...(provisioned && { provisioned }),
+      redirectTo: request.redirectTo
+    });
+  } catch (error) {
+    console.error('Complete SSO login error:', error);
+    res.status(500).json({
+      message: 'Error completing single sign-on',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin
+};
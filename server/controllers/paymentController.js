@@ -1,6 +1,16 @@
 const Client = require('../models/Client');
 const stripeService = require('../services/stripeService');
 const { validationResult } = require('express-validator');
+const { findAccessibleClient } = require('../utils/clientScope');
+const { findDefaultAddress, toStripeAddress } = require('../utils/addresses');
+
+/**
+ * Stripe customer a saved card is attached to
+ * (cards carried over from a merged client stay on that client's customer)
+ */
+const customerForMethod = (client, method) => {
+  return method?.stripeCustomerId || client.paymentMethod?.stripeCustomerId;
+};
 
 /**
  * Create or retrieve Stripe customer for a client
@@ -11,11 +21,14 @@ const ensureStripeCustomer = async (client) => {
     return client.paymentMethod.stripeCustomerId;
   }
 
-  // Create new Stripe customer
+  // Create new Stripe customer with the default billing and shipping addresses
+  const shippingAddress = toStripeAddress(findDefaultAddress(client.addresses, 'shipping'));
   const customer = await stripeService.createCustomer({
     email: client.email,
     name: client.name,
     phone: client.phone,
+    address: toStripeAddress(findDefaultAddress(client.addresses, 'billing')),
+    shipping: shippingAddress && { name: client.name, phone: client.phone, address: shippingAddress },
     clientId: client._id.toString()
   });
 
@@ -51,7 +64,7 @@ const addPaymentMethod = async (req, res) => {
     const { clientId, paymentMethodId, isDefault = false } = req.body;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -123,7 +136,7 @@ const listPaymentMethods = async (req, res) => {
     const { clientId } = req.params;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -159,7 +172,7 @@ const setDefaultPaymentMethod = async (req, res) => {
     const { clientId, paymentMethodId } = req.params;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -173,11 +186,9 @@ const setDefaultPaymentMethod = async (req, res) => {
     }
 
     // Update Stripe default
-    if (client.paymentMethod?.stripeCustomerId) {
-      await stripeService.setDefaultPaymentMethod(
-        client.paymentMethod.stripeCustomerId,
-        paymentMethodId
-      );
+    const methodCustomerId = customerForMethod(client, paymentMethod);
+    if (methodCustomerId) {
+      await stripeService.setDefaultPaymentMethod(methodCustomerId, paymentMethodId);
     }
 
     // Update local records
@@ -213,7 +224,7 @@ const removePaymentMethod = async (req, res) => {
     const { clientId, paymentMethodId } = req.params;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -238,11 +249,10 @@ const removePaymentMethod = async (req, res) => {
       client.paymentMethod.paymentMethods[0].isDefault = true;
       
       // Update Stripe default
-      if (client.paymentMethod?.stripeCustomerId) {
-        await stripeService.setDefaultPaymentMethod(
-          client.paymentMethod.stripeCustomerId,
-          client.paymentMethod.paymentMethods[0].id
-        );
+      const newDefault = client.paymentMethod.paymentMethods[0];
+      const methodCustomerId = customerForMethod(client, newDefault);
+      if (methodCustomerId) {
+        await stripeService.setDefaultPaymentMethod(methodCustomerId, newDefault.id);
       }
     }
 
@@ -292,7 +302,7 @@ const createPaymentIntent = async (req, res) => {
     } = req.body;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -314,11 +324,14 @@ const createPaymentIntent = async (req, res) => {
       }
     }
 
+    // Charge the customer the card belongs to
+    const savedMethod = client.paymentMethod?.paymentMethods?.find(pm => pm.id === methodId);
+
     // Create payment intent
     const paymentIntent = await stripeService.createPaymentIntent({
       amount,
       currency,
-      customerId: stripeCustomerId,
+      customerId: savedMethod?.stripeCustomerId || stripeCustomerId,
       paymentMethodId: methodId,
       description: description || `Payment for ${client.name}`,
       metadata: {
@@ -401,19 +414,28 @@ const getPaymentHistory = async (req, res) => {
     const { limit = 10 } = req.query;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
 
-    // Get Stripe customer ID
-    const stripeCustomerId = client.paymentMethod?.stripeCustomerId;
-    if (!stripeCustomerId) {
+    // Get Stripe customer IDs (including those of clients merged into this one)
+    const customerIds = [
+      client.paymentMethod?.stripeCustomerId,
+      ...(client.paymentMethod?.mergedCustomerIds || [])
+    ].filter(Boolean);
+    if (customerIds.length === 0) {
       return res.json({ charges: [] });
     }
 
-    // Get charges from Stripe
-    const charges = await stripeService.listCharges(stripeCustomerId, parseInt(limit));
+    // Get charges from Stripe, newest first across customers
+    const chargeLists = await Promise.all(
+      customerIds.map(customerId => stripeService.listCharges(customerId, parseInt(limit)))
+    );
+    const charges = chargeLists
+      .flat()
+      .sort((a, b) => b.created - a.created)
+      .slice(0, parseInt(limit));
 
     // Format charges for response
     const formattedCharges = charges.map(charge => ({
@@ -456,7 +478,7 @@ const createSetupIntent = async (req, res) => {
     const { clientId } = req.body;
 
     // Find client
-    const client = await Client.findById(clientId);
+    const client = await findAccessibleClient(req.user, clientId);
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
@@ -615,7 +637,7 @@ const updateClientPaymentMethod = async (req, res) => {
 
 const removeClientPaymentMethod = async (req, res) => {
   // Get first payment method and remove it (legacy behavior)
-  const client = await Client.findById(req.params.id);
+  const client = await findAccessibleClient(req.user, req.params.id);
   if (client && client.paymentMethod?.paymentMethods?.length > 0) {
     req.params.clientId = req.params.id;
     req.params.paymentMethodId = client.paymentMethod.paymentMethods[0].id;
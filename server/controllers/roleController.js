@@ -0,0 +1,230 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const Setting = require('../models/Setting');
+const { validationResult } = require('express-validator');
+const { PERMISSIONS, SUPER_ROLE } = require('../utils/permissions');
+
+// List all roles with how many users hold each
+const listRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      roles: roles.map(role => ({
+        ...role.toJSON(),
+        userCount: countByRole[role._id] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      message: 'Error fetching roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// List every permission that can be granted
+const listPermissions = (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+};
+
+// Create a custom role
+const createRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, name, description, permissions = [] } = req.body;
+    const roleId = key.toLowerCase();
+
+    // Nobody can hand out permissions they don't hold themselves
+    const granted = await Role.getPermissions(req.user.role);
+    const notHeld = permissions.filter(permission => !granted.includes(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        message: 'You cannot grant permissions you do not have',
+        permissions: notHeld
+      });
+    }
+
+    const existing = await Role.exists({ _id: roleId });
+    if (existing) {
+      return res.status(409).json({
+        message: 'A role with this key already exists'
+      });
+    }
+
+    const role = await Role.create({
+      _id: roleId,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.userId
+    });
+    Role.clearCache(roleId);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      message: 'Error creating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a role's name, description or permissions
+const updateRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (role._id === SUPER_ROLE) {
+        return res.status(400).json({
+          message: 'The admin role always has every permission'
+        });
+      }
+
+      // Adding or removing a permission is only allowed for permissions the caller holds
+      const granted = await Role.getPermissions(req.user.role);
+      const changed = [
+        ...permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !permissions.includes(permission))
+      ];
+      const notHeld = changed.filter(permission => !granted.includes(permission));
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          message: 'You cannot change permissions you do not have',
+          permissions: notHeld
+        });
+      }
+
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.userId;
+
+    await role.save();
+    Role.clearCache(role._id);
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a custom role that nobody uses
+const deleteRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roleId } = req.params;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const [userCount, invitationCount] = await Promise.all([
+      User.countDocuments({ role: role._id }),
+      Invitation.countDocuments({ role: role._id, status: 'pending' })
+    ]);
+    if (userCount > 0 || invitationCount > 0) {
+      return res.status(409).json({
+        message: 'Role is still assigned. Move its users and pending invitations to another role first.',
+        userCount,
+        invitationCount
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    Role.clearCache(role._id);
+
+    // Drop the role from the two-factor policy so the setting stays valid
+    const security = await Setting.getValue('security');
+    if (security.twoFactorRequiredRoles.includes(role._id)) {
+      await Setting.setValue('security', {
+        twoFactorRequiredRoles: security.twoFactorRequiredRoles.filter(r => r !== role._id)
+      }, req.userId);
+    }
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      message: 'Error deleting role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,357 @@
+const SavedView = require('../models/SavedView');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { validationResult } = require('express-validator');
+const { getClientScope, applyClientScope } = require('../utils/clientScope');
+
+// Fields a view's owner can set
+const VIEW_FIELDS = ['name', 'description', 'visibility', 'filter', 'search', 'sortBy', 'sortOrder', 'columns', 'pageSize'];
+
+// Owners manage their views; global views can also be managed with clients.manageViews
+const canManageView = (view, user, permissions) => {
+  return view.owner === user.userId ||
+    (view.visibility === 'global' && permissions.includes('clients.manageViews'));
+};
+
+// Check the requested visibility is allowed; returns an error message or null
+const checkVisibility = async (visibility, user, permissions) => {
+  if (visibility === 'global' && !permissions.includes('clients.manageViews')) {
+    return 'You do not have permission to share views with everyone';
+  }
+  if (visibility === 'team') {
+    const owner = await User.findById(user.userId).select('department').lean();
+    if (!owner?.department) {
+      return 'You need a department to share a view with your team';
+    }
+  }
+  return null;
+};
+
+// Count the clients a view matches that the user can see
+// Returns { clientCount }, or { clientCount: null, filterError } when the view's filter is invalid
+const countViewClients = async (view, scope) => {
+  const { query, error } = await view.buildClientQuery();
+  if (error) {
+    return { clientCount: null, filterError: error };
+  }
+  return { clientCount: await Client.countDocuments(applyClientScope(query, scope)) };
+};
+
+// Shape a view for the response
+const serializeView = (view, user, { clientCount, filterError, isDefault, permissions }) => {
+  const { defaultFor, ...data } = view.toJSON();
+  return {
+    ...data,
+    clientCount,
+    ...(filterError && { filterError }),
+    isDefault,
+    canEdit: canManageView(view, user, permissions)
+  };
+};
+
+// List the views the user can see, with matching client counts
+const listViews = async (req, res) => {
+  try {
+    const [views, defaultView, scope, permissions] = await Promise.all([
+      SavedView.find(await SavedView.visibleTo(req.user)).sort({ visibility: 1, name: 1 }),
+      SavedView.findDefaultFor(req.user),
+      getClientScope(req.user),
+      Role.getPermissions(req.user.role)
+    ]);
+
+    const counts = await Promise.all(views.map(view => countViewClients(view, scope)));
+    const defaultViewId = defaultView ? String(defaultView._id) : null;
+
+    res.json({
+      views: views.map((view, index) => serializeView(view, req.user, {
+        ...counts[index],
+        isDefault: String(view._id) === defaultViewId,
+        permissions
+      })),
+      defaultViewId
+    });
+  } catch (error) {
+    console.error('List saved views error:', error);
+    res.status(500).json({
+      message: 'Error fetching saved views',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a single view with its matching client count
+const getView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findVisible(req.params.viewId, req.user);
+    if (!view) {
+      return res.status(404).json({
+        message: 'Saved view not found'
+      });
+    }
+
+    const [counts, defaultView, permissions] = await Promise.all([
+      countViewClients(view, await getClientScope(req.user)),
+      SavedView.findDefaultFor(req.user),
+      Role.getPermissions(req.user.role)
+    ]);
+
+    res.json({
+      view: serializeView(view, req.user, {
+        ...counts,
+        isDefault: !!defaultView && String(defaultView._id) === String(view._id),
+        permissions
+      })
+    });
+  } catch (error) {
+    console.error('Get saved view error:', error);
+    res.status(500).json({
+      message: 'Error fetching saved view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a view owned by the current user
+const createView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const permissions = await Role.getPermissions(req.user.role);
+    const visibility = req.body.visibility || 'private';
+    const visibilityError = await checkVisibility(visibility, req.user, permissions);
+    if (visibilityError) {
+      return res.status(403).json({
+        message: visibilityError
+      });
+    }
+
+    const data = {};
+    for (const field of VIEW_FIELDS) {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    }
+
+    const view = new SavedView({ ...data, visibility, owner: req.user.userId });
+    if (visibility === 'team') {
+      const owner = await User.findById(req.user.userId).select('department').lean();
+      view.department = owner.department;
+    }
+    await view.save();
+
+    if (req.body.isDefault) {
+      await SavedView.setDefaultFor(req.user.userId, view._id);
+    }
+
+    res.status(201).json({
+      message: 'Saved view created successfully',
+      view: serializeView(view, req.user, {
+        ...(await countViewClients(view, await getClientScope(req.user))),
+        isDefault: !!req.body.isDefault,
+        permissions
+      })
+    });
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    res.status(500).json({
+      message: 'Error creating saved view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a view the user manages
+const updateView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findVisible(req.params.viewId, req.user);
+    if (!view) {
+      return res.status(404).json({
+        message: 'Saved view not found'
+      });
+    }
+
+    const permissions = await Role.getPermissions(req.user.role);
+    if (!canManageView(view, req.user, permissions)) {
+      return res.status(403).json({
+        message: 'You can only edit your own views'
+      });
+    }
+
+    const { visibility } = req.body;
+    if (visibility !== undefined && visibility !== view.visibility) {
+      // Team and global sharing is decided by the owner's department and permissions
+      const owner = { userId: view.owner };
+      const ownerRole = view.owner === req.user.userId
+        ? req.user.role
+        : (await User.findById(view.owner).select('role').lean())?.role;
+      const visibilityError = await checkVisibility(visibility, owner, await Role.getPermissions(ownerRole));
+      if (visibilityError) {
+        return res.status(403).json({
+          message: visibilityError
+        });
+      }
+    }
+
+    for (const field of VIEW_FIELDS) {
+      if (req.body[field] !== undefined) {
+        view[field] = req.body[field];
+      }
+    }
+    if (view.visibility === 'team' && view.isModified('visibility')) {
+      const owner = await User.findById(view.owner).select('department').lean();
+      view.department = owner?.department;
+    } else if (view.visibility !== 'team') {
+      view.department = undefined;
+    }
+    await view.save();
+
+    if (req.body.isDefault !== undefined) {
+      await SavedView.setDefaultFor(req.user.userId, req.body.isDefault ? view._id : null);
+    }
+
+    const defaultView = await SavedView.findDefaultFor(req.user);
+
+    res.json({
+      message: 'Saved view updated successfully',
+      view: serializeView(view, req.user, {
+        ...(await countViewClients(view, await getClientScope(req.user))),
+        isDefault: !!defaultView && String(defaultView._id) === String(view._id),
+        permissions
+      })
+    });
+  } catch (error) {
+    console.error('Update saved view error:', error);
+    res.status(500).json({
+      message: 'Error updating saved view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a view the user manages
+const deleteView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findVisible(req.params.viewId, req.user);
+    if (!view) {
+      return res.status(404).json({
+        message: 'Saved view not found'
+      });
+    }
+
+    const permissions = await Role.getPermissions(req.user.role);
+    if (!canManageView(view, req.user, permissions)) {
+      return res.status(403).json({
+        message: 'You can only delete your own views'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.json({
+      message: 'Saved view deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+    res.status(500).json({
+      message: 'Error deleting saved view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Make a view the user's default client list view
+const setDefaultView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findVisible(req.params.viewId, req.user);
+    if (!view) {
+      return res.status(404).json({
+        message: 'Saved view not found'
+      });
+    }
+
+    await SavedView.setDefaultFor(req.user.userId, view._id);
+
+    res.json({
+      message: 'Default view updated',
+      defaultViewId: view._id
+    });
+  } catch (error) {
+    console.error('Set default view error:', error);
+    res.status(500).json({
+      message: 'Error setting default view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Go back to the unfiltered client list by default
+const clearDefaultView = async (req, res) => {
+  try {
+    await SavedView.setDefaultFor(req.user.userId, null);
+
+    res.json({
+      message: 'Default view cleared',
+      defaultViewId: null
+    });
+  } catch (error) {
+    console.error('Clear default view error:', error);
+    res.status(500).json({
+      message: 'Error clearing default view',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView,
+  clearDefaultView
+};
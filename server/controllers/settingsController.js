@@ -0,0 +1,181 @@
+const Setting = require('../models/Setting');
+const { validationResult } = require('express-validator');
+const oidc = require('../services/oidcService');
+
+// Get deployment-wide security settings
+const getSecuritySettings = async (req, res) => {
+  try {
+    const security = await Setting.getValue('security');
+
+    res.json({ security });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      message: 'Error fetching security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update deployment-wide security settings
+const updateSecuritySettings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    if (req.body.twoFactorRequiredRoles !== undefined) {
+      updates.twoFactorRequiredRoles = [...new Set(req.body.twoFactorRequiredRoles)];
+    }
+    if (req.body.magicLinkEnabled !== undefined) {
+      updates.magicLinkEnabled = req.body.magicLinkEnabled;
+    }
+    if (req.body.passwordLoginEnabled !== undefined) {
+      updates.passwordLoginEnabled = req.body.passwordLoginEnabled;
+    }
+
+    // Don't let admins lock everyone out: some way of signing in must remain
+    const next = { ...(await Setting.getValue('security')), ...updates };
+    if (!next.passwordLoginEnabled && !next.magicLinkEnabled && !oidc.isEnabled()) {
+      return res.status(400).json({
+        message: 'Enable single sign-on or magic links before disabling password login'
+      });
+    }
+
+    const security = await Setting.setValue('security', updates, req.userId);
+
+    res.json({
+      message: 'Security settings updated successfully',
+      security
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      message: 'Error updating security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Fields of the password policy an admin can change
+const PASSWORD_POLICY_FIELDS = [
+  'minLength',
+  'requireUppercase',
+  'requireLowercase',
+  'requireNumber',
+  'requireSymbol',
+  'blockCommonPasswords',
+  'historySize',
+  'maxAgeDays'
+];
+
+// Get the password policy
+const getPasswordPolicySettings = async (req, res) => {
+  try {
+    const passwordPolicy = await Setting.getValue('passwordPolicy');
+
+    res.json({ passwordPolicy });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      message: 'Error fetching password policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update the password policy (applies to passwords set from now on)
+const updatePasswordPolicySettings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    for (const field of PASSWORD_POLICY_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const passwordPolicy = await Setting.setValue('passwordPolicy', updates, req.userId);
+
+    res.json({
+      message: 'Password policy updated successfully',
+      passwordPolicy
+    });
+  } catch (error) {
+    console.error('Update password policy error:', error);
+    res.status(500).json({
+      message: 'Error updating password policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the client trash settings
+const getTrashSettings = async (req, res) => {
+  try {
+    const trash = await Setting.getValue('trash');
+
+    res.json({ trash });
+  } catch (error) {
+    console.error('Get trash settings error:', error);
+    res.status(500).json({
+      message: 'Error fetching trash settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update the client trash settings (a shorter retention purges older clients on the next run)
+const updateTrashSettings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    if (req.body.retentionDays !== undefined) {
+      updates.retentionDays = req.body.retentionDays;
+    }
+
+    const trash = await Setting.setValue('trash', updates, req.userId);
+
+    res.json({
+      message: 'Trash settings updated successfully',
+      trash
+    });
+  } catch (error) {
+    console.error('Update trash settings error:', error);
+    res.status(500).json({
+      message: 'Error updating trash settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  getPasswordPolicySettings,
+  updatePasswordPolicySettings,
+  getTrashSettings,
+  updateTrashSettings
+};
@@ -0,0 +1,166 @@
+const Tag = require('../models/Tag');
+const Client = require('../models/Client');
+const { validationResult } = require('express-validator');
+const { getClientScope, applyClientScope } = require('../utils/clientScope');
+
+// List the tag catalog with how many of the user's visible clients carry each tag
+const listTags = async (req, res) => {
+  try {
+    const scope = await getClientScope(req.user);
+    const [tags, counts] = await Promise.all([
+      Tag.find().sort({ name: 1 }),
+      Client.aggregate([
+        { $match: applyClientScope({ tags: { $exists: true, $ne: [] } }, scope) },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByTag = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      tags: tags.map(tag => ({
+        ...tag.toJSON(),
+        clientCount: countByTag[tag._id] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({
+      message: 'Error fetching tags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add a tag to the catalog
+const createTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, color, description } = req.body;
+    const tagId = Tag.keyFromName(name);
+    if (!tagId) {
+      return res.status(400).json({
+        message: 'Tag name must contain at least one letter or digit'
+      });
+    }
+
+    const existing = await Tag.exists({ _id: tagId });
+    if (existing) {
+      return res.status(409).json({
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const tag = await Tag.create({
+      _id: tagId,
+      name,
+      color,
+      description,
+      createdBy: req.userId,
+      updatedBy: req.userId
+    });
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      message: 'Error creating tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Rename or recolor a tag (its key, and so client references, stay the same)
+const updateTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({
+        message: 'Tag not found'
+      });
+    }
+
+    const { name, color, description } = req.body;
+    if (name !== undefined) tag.name = name;
+    if (color !== undefined) tag.color = color;
+    if (description !== undefined) tag.description = description;
+    tag.updatedBy = req.userId;
+
+    await tag.save();
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      message: 'Error updating tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a tag and remove it from every client
+const deleteTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({
+        message: 'Tag not found'
+      });
+    }
+
+    await Tag.deleteOne({ _id: tag._id });
+    // Trashed clients too, so a restored client has no unknown tag
+    const result = await Client.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } }, { withDeleted: true });
+
+    res.json({
+      message: 'Tag deleted successfully',
+      untaggedClients: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      message: 'Error deleting tag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
@@ -0,0 +1,198 @@
+const Client = require('../models/Client');
+const { validationResult } = require('express-validator');
+const { getClientScope, applyClientScope } = require('../utils/clientScope');
+const { escapeRegex } = require('../utils/clientSearch');
+const trashService = require('../services/trashService');
+
+// Trashed clients visible to the user (withDeleted is needed once the scope wraps the filter in $and)
+const trashQuery = (filter, scope) => applyClientScope({ ...filter, deletedAt: { $ne: null } }, scope);
+
+// List trashed clients, most recently deleted first
+const listTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, pageSize = 50, search } = req.query;
+    const limit = parseInt(pageSize);
+    const skip = (parseInt(page) - 1) * limit;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const scope = await getClientScope(req.user);
+    const query = trashQuery(filter, scope);
+
+    const [clients, totalCount, retentionDays] = await Promise.all([
+      Client.find(query)
+        .setOptions({ withDeleted: true })
+        .select('name email contactStatus industry ownedBy parentClientId deletedAt deletedBy')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1, _id: 1 })
+        .limit(limit)
+        .skip(skip)
+        .lean(),
+      Client.countDocuments(query).setOptions({ withDeleted: true }),
+      trashService.getRetentionDays()
+    ]);
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      clients: clients.map(client => ({
+        ...client,
+        purgeAt: trashService.purgeDate(client.deletedAt, retentionDays)
+      })),
+      retentionDays,
+      pagination: {
+        currentPage: parseInt(page),
+        pageSize: limit,
+        totalCount,
+        totalPages,
+        hasNextPage,
+        hasPrevPage
+      }
+    });
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({
+      message: 'Error fetching trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Restore a trashed client; its activities and contacts come back with it
+const restoreClient = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOneAndUpdate(
+      trashQuery({ _id: req.params.id }, scope),
+      { $set: { deletedAt: null, deletedBy: null } },
+      { new: true, withDeleted: true }
+    );
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Trashed client not found'
+      });
+    }
+
+    // Keep the link to a parent that is only trashed (it shows again once restored);
+    // clear it if the parent has been purged meanwhile
+    if (client.parentClientId &&
+        !(await Client.exists({ _id: client.parentClientId }).setOptions({ withDeleted: true }))) {
+      client.parentClientId = null;
+      await client.save();
+    }
+
+    res.json({
+      message: 'Client restored successfully',
+      client
+    });
+  } catch (error) {
+    console.error('Restore client error:', error);
+    res.status(500).json({
+      message: 'Error restoring client',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Permanently delete a trashed client with its activities and contacts
+const purgeClient = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await getClientScope(req.user);
+    const client = await Client.findOne(trashQuery({ _id: req.params.id }, scope))
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Trashed client not found'
+      });
+    }
+
+    const deleted = await trashService.purgeClients([client._id]);
+
+    res.json({
+      message: 'Client permanently deleted',
+      deleted
+    });
+  } catch (error) {
+    console.error('Purge client error:', error);
+    res.status(500).json({
+      message: 'Error deleting client',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Permanently delete every trashed client visible to the user
+const emptyTrash = async (req, res) => {
+  try {
+    // Defensive: require explicit confirm flag in query to avoid accidental calls
+    const confirm = String(req.query?.confirm || '').toLowerCase();
+    if (confirm !== 'true' && confirm !== 'yes') {
+      return res.status(400).json({
+        message: 'Confirmation required to empty the trash. Pass ?confirm=true'
+      });
+    }
+
+    const scope = await getClientScope(req.user);
+    const clientIds = await Client.find(trashQuery({}, scope))
+      .setOptions({ withDeleted: true })
+      .distinct('_id');
+
+    const deleted = await trashService.purgeClients(clientIds);
+
+    res.json({
+      message: 'Trash emptied successfully',
+      deleted
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      message: 'Error emptying trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listTrash,
+  restoreClient,
+  purgeClient,
+  emptyTrash
+};
@@ -0,0 +1,378 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { validationResult } = require('express-validator');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const totp = require('../utils/totp');
+const { createSessionTokens, verifyTwoFactorChallenge } = require('../utils/authTokens');
+const loginProtection = require('../services/loginProtectionService');
+
+// Issuer label shown in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'RebelX';
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields that hold two-factor secrets are excluded from queries by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared case- and dash-insensitively
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Generate a fresh set of recovery codes; returns the raw codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = generateToken(4);
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Check a TOTP code or a single-use recovery code against an enrolled user
+// Returns true and records the use (replay protection / code consumption) on success
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) {
+      return false;
+    }
+    // Atomic guard so the same code can't be used twice in parallel requests
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Start enrollment: generate a pending secret and return it with a QR code
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': secret } }
+    );
+
+    const otpauthUrl = totp.buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: TWO_FACTOR_ISSUER
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Error starting two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            secret: pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date()
+          }
+        }
+      },
+      { runValidators: false }
+    );
+
+    // The current session has just proven possession of the second factor
+    await Session.updateOne({ _id: req.sessionId }, { $set: { mfaVerified: true } });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes,
+      token: user.generateAuthToken(req.sessionId, { mfa: true, passwordChangeRequired: req.user.pwc })
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Turn off two-factor authentication (requires password and a second factor)
+const disableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.userId).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const security = await Setting.getValue('security');
+    if (security.twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        message: 'Invalid password'
+      });
+    }
+
+    const verified = await checkSecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      return res.status(401).json({
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false } } }
+    );
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      message: 'Error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current TOTP code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const verified = await checkSecondFactor(user, { code: req.body.code });
+    if (!verified) {
+      return res.status(401).json({
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': hashes } }
+    );
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Error regenerating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Second login step: exchange a challenge token and code for session tokens
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status !== 'active' || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const attemptContext = {
+      email: user.email,
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Code guessing counts towards the same limits as password guessing
+    const block = await loginProtection.check(attemptContext);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfterSeconds));
+      return res.status(429).json(loginProtection.describeBlock(block));
+    }
+
+    const verified = await checkSecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      await loginProtection.recordFailure({ ...attemptContext, type: 'two_factor_failed' });
+      return res.status(401).json({
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const tokens = await createSessionTokens(user, req, {
+      mfaVerified: true,
+      passwordChangeRequired: challenge.passwordChangeRequired
+    });
+
+    // Update last login
+    await user.updateLastLogin();
+    await loginProtection.recordSuccess({ ...attemptContext, metadata: { twoFactor: true } });
+
+    res.json({
+      message: 'Login successful',
+      user: user.toJSON(),
+      ...tokens,
+      ...(challenge.passwordChangeRequired && { passwordChangeRequired: true })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      message: 'Error completing two-factor login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
@@ -6,10 +6,33 @@ const { parseCSV, previewCSV } = require('../utils/csvParser');
 const { generateUsersCSV, generateUsersTemplate } = require('../utils/csvGenerator');
 const { validateCSVFile, batchValidateUsers } = require('../utils/csvValidator');
 const Activity = require('../models/Activity');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const AuthEvent = require('../models/AuthEvent');
+const loginProtection = require('../services/loginProtectionService');
+const { createImpersonationToken } = require('../utils/authTokens');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { findCursorPage, wantsCursorPagination } = require('../utils/cursorPagination');
+const { escapeRegex } = require('../utils/clientSearch');
+
+// Fields the user list can be paged through with a cursor
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'role', 'department', 'status'];
+
+// Fields an admin can set through updateUser; credentials, tokens and 2FA have their own endpoints
+const UPDATABLE_USER_FIELDS = ['name', 'department', 'phone', 'hourlyRate', 'status', 'role', 'emailVerified'];
 
 // List all users with pagination and filtering
 const listUsers = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
       page = 1,
       pageSize = 10,
@@ -37,15 +60,30 @@ const listUsers = async (req, res) => {
     }
     
     if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
       query.$or = [
-        { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { department: new RegExp(search, 'i') }
+        { name: pattern },
+        { email: pattern },
+        { department: pattern }
       ];
     }
 
-    // Calculate pagination
     const limit = parseInt(pageSize);
+
+    // Cursor mode: keyset pages, total count only on request
+    if (wantsCursorPagination(req.query)) {
+      const { items, pagination } = await findCursorPage(User, query, {
+        sortBy,
+        sortOrder,
+        limit,
+        cursor: req.query.cursor,
+        sortFields: USER_SORT_FIELDS,
+        includeTotal: req.query.includeTotal === 'true'
+      });
+      return res.json({ users: items, pagination });
+    }
+
+    // Calculate pagination
     const skip = (parseInt(page) - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
@@ -119,14 +157,39 @@ const updateUser = async (req, res) => {
     }
 
     const { id } = req.params;
-    const updates = req.body;
 
-    // Prevent updating certain fields
-    delete updates._id;
-    delete updates.email; // Email is the primary key, shouldn't be changed
-    delete updates.password; // Password should be updated through a separate endpoint
-    delete updates.createdAt;
-    delete updates.updatedAt;
+    // Only copy known fields so operators and credential fields can't be set from the body
+    const updates = {};
+    for (const field of UPDATABLE_USER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    // Role changes can't grant permissions the caller doesn't hold, or touch users above them
+    if (updates.role !== undefined) {
+      const existing = await User.findById(id).select('role');
+      if (!existing) {
+        return res.status(404).json({ 
+          message: 'User not found' 
+        });
+      }
+      const [canAssignNew, canManageCurrent] = await Promise.all([
+        Role.canAssign(req.user.role, updates.role),
+        Role.canAssign(req.user.role, existing.role)
+      ]);
+      if (!canAssignNew || !canManageCurrent) {
+        return res.status(403).json({ 
+          message: 'You cannot assign a role with permissions you do not have' 
+        });
+      }
+    }
+
+    // Admin marking the address verified also consumes any pending verification link
+    if (updates.emailVerified === true || updates.emailVerified === 'true') {
+      updates.emailVerified = true;
+      updates.$unset = { emailVerificationToken: 1, emailVerificationExpire: 1 };
+    }
 
     const user = await User.findByIdAndUpdate(
       id,
@@ -143,6 +206,12 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // Deactivating through an update must also end the user's sessions
+    if (user.status === 'inactive') {
+      await Session.revokeAllForUser(user._id, 'user_deactivated');
+      await Session.revokeImpersonationsBy(user._id, 'user_deactivated');
+    }
+
     res.json({
       message: 'User updated successfully',
       user
@@ -181,6 +250,10 @@ const deleteUser = async (req, res) => {
     user.status = 'inactive';
     await user.save();
 
+    // Sign the user out everywhere immediately
+    await Session.revokeAllForUser(user._id, 'user_deactivated');
+    await Session.revokeImpersonationsBy(user._id, 'user_deactivated');
+
     res.json({
       message: 'User deactivated successfully',
       user
@@ -194,6 +267,319 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// List a user's active sessions (admin)
+const listUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userExists = await User.exists({ _id: id });
+    if (!userExists) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(id);
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List user sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching user sessions', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Revoke a single session of a user (admin)
+const revokeUserSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id, sessionId } = req.params;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, userId: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked_by_admin' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ 
+        message: 'Session not found' 
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking session', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Revoke all sessions of a user without deactivating the account (admin)
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userExists = await User.exists({ _id: id });
+    if (!userExists) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    const result = await Session.revokeAllForUser(id, 'revoked_by_admin');
+
+    res.json({
+      message: 'All sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking sessions', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Reset a user's two-factor enrollment, e.g. after a lost device (admin)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await User.updateOne(
+      { _id: id },
+      { $set: { twoFactor: { enabled: false } } },
+      { runValidators: false }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    // Existing sessions were established with the old factor
+    await Session.revokeAllForUser(id, 'two_factor_reset');
+
+    res.json({
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    res.status(500).json({ 
+      message: 'Error resetting two-factor authentication', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Sign in as another user (admin); returns a short-lived token carrying both identities
+const impersonateUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (id === req.userId) {
+      return res.status(400).json({ 
+        message: 'You cannot impersonate yourself' 
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(400).json({ 
+        message: 'Only active users can be impersonated' 
+      });
+    }
+
+    // Impersonating must never grant the admin more access than they already have
+    if (!(await Role.canAssign(req.user.role, user.role))) {
+      return res.status(403).json({ 
+        message: 'You cannot impersonate a user with permissions you do not hold' 
+      });
+    }
+
+    const { token, sessionId, expiresAt } = await createImpersonationToken(user, req.userId, req);
+
+    await AuthEvent.record('impersonation_started', {
+      email: user.email,
+      userId: user._id,
+      performedBy: req.userId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: { reason, sessionId: String(sessionId), expiresAt }
+    });
+
+    res.json({
+      message: `Now impersonating ${user.name}`,
+      token,
+      expiresAt,
+      user: user.toJSON(),
+      impersonatedBy: req.userId
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ 
+      message: 'Error starting impersonation', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Get a user's current login lockout state (admin)
+const getUserLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const attempt = await loginProtection.getStatus('account', id);
+    const now = new Date();
+
+    res.json({
+      lockout: {
+        locked: !!attempt?.lockedUntil && attempt.lockedUntil > now,
+        lockedUntil: attempt?.lockedUntil && attempt.lockedUntil > now ? attempt.lockedUntil : null,
+        nextAttemptAt: attempt?.nextAttemptAt && attempt.nextAttemptAt > now ? attempt.nextAttemptAt : null,
+        failures: attempt?.failures || 0,
+        lockouts: attempt?.lockouts || 0,
+        lastFailureAt: attempt?.lastFailureAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Get user lockout error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching lockout status', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// Lift a login lockout for a user, and optionally for an IP address (admin)
+const unlockUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { ip } = req.body;
+
+    const accountUnlocked = await loginProtection.unlock('account', id, req.userId);
+    const ipUnlocked = ip ? await loginProtection.unlock('ip', ip, req.userId) : false;
+
+    res.json({
+      message: 'Login lockout cleared successfully',
+      accountUnlocked,
+      ipUnlocked
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ 
+      message: 'Error clearing lockout', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
+// List authentication audit events (admin)
+const listAuthEvents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { page = 1, pageSize = 50, type, email, ip, performedBy, startDate, endDate } = req.query;
+
+    const query = {};
+    if (type) {
+      query.type = type;
+    }
+    if (email) {
+      query.email = email.toLowerCase();
+    }
+    if (ip) {
+      query.ip = ip;
+    }
+    if (performedBy) {
+      query.performedBy = performedBy.toLowerCase();
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const limit = parseInt(pageSize);
+    const skip = (parseInt(page) - 1) * limit;
+
+    const [events, totalCount] = await Promise.all([
+      AuthEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuthEvent.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: parseInt(page),
+        pageSize: limit,
+        totalCount,
+        totalPages,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('List auth events error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching auth events', 
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined 
+    });
+  }
+};
+
 // Import users from CSV with enhanced validation
 const importUsers = async (req, res) => {
   let filePath = null;
@@ -254,6 +640,17 @@ const importUsers = async (req, res) => {
 
     for (const validRow of validation.validRows) {
       try {
+        // Importers can't create users with permissions they don't hold
+        if (!(await Role.canAssign(req.user.role, validRow.data.role))) {
+          throw new Error(`You cannot assign the ${validRow.data.role} role`);
+        }
+
+        // Imported passwords follow the same policy as self-chosen ones
+        const passwordProblems = await validatePassword(validRow.data.password);
+        if (passwordProblems.length > 0) {
+          throw new Error(passwordProblems.join('. '));
+        }
+
         // Create new user
         const user = new User(validRow.data);
         await user.save();
@@ -445,10 +842,11 @@ const exportUsers = async (req, res) => {
     }
     
     if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
       query.$or = [
-        { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { department: new RegExp(search, 'i') }
+        { name: pattern },
+        { email: pattern },
+        { department: pattern }
       ];
     }
 
@@ -500,6 +898,14 @@ module.exports = {
   getUser,
   updateUser,
   deleteUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  resetUserTwoFactor,
+  impersonateUser,
+  getUserLockout,
+  unlockUser,
+  listAuthEvents,
   importUsers,
   exportUsers,
   previewUsersCSV,
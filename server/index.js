@@ -10,6 +10,13 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Honour X-Forwarded-For when running behind a proxy so session IPs are accurate
+// (TRUST_PROXY=true, a hop count like 1, or a comma-separated list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Webhook routes must be defined before body parsing middleware
 const webhookRoutes = require('./routes/webhookRoutes');
 app.use('/api/webhooks', webhookRoutes);
@@ -54,6 +61,10 @@ const userRoutes = require('./routes/users');
 const clientRoutes = require('./routes/clients');
 const activityRoutes = require('./routes/activities');
 const paymentRoutes = require('./routes/payments');
+const settingsRoutes = require('./routes/settings');
+const roleRoutes = require('./routes/roles');
+const customFieldRoutes = require('./routes/customFields');
+const tagRoutes = require('./routes/tags');
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -61,6 +72,10 @@ app.use('/api/users', userRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -86,11 +101,23 @@ app.use((req, res) => {
 });
 
 // Start server
+const Role = require('./models/Role');
+const trashService = require('./services/trashService');
+const mailService = require('./services/mailService');
 const PORT = process.env.PORT || 5001;
 
 const startServer = async () => {
+  // Password reset, verification and sign-in links need a working mail transport
+  mailService.verifyConfig();
+
   await connectDB();
 
+  // Make sure the built-in roles exist before any permission check runs
+  await Role.seedDefaults();
+
+  // Purge clients that have been in the trash longer than the retention period
+  trashService.start();
+
   // Create HTTP server so we can control timeouts for long-running requests (e.g., CSV import)
   const server = http.createServer(app);
   // Allow up to 10 minutes for the entire request lifecycle
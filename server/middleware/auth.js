@@ -1,6 +1,86 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuthEvent = require('../models/AuthEvent');
+
+// Requests that change data; these are audited while impersonating
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Authenticate a request carrying an `X-API-Key` header
+// Keys are only accepted on routes that declare the scopes they need
+const authenticateApiKey = async (key, options, req, res, next) => {
+  let apiKey;
+  let user;
+  try {
+    apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      throw new Error();
+    }
+
+    // Keys stop working as soon as their owner is deactivated
+    user = await User.findById(apiKey.userId);
+    if (!user || user.status !== 'active') {
+      throw new Error();
+    }
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  const requiredScopes = options.apiKeyScopes || [];
+  if (requiredScopes.length === 0) {
+    return res.status(403).json({
+      message: 'API keys cannot be used for this endpoint',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const missingScopes = requiredScopes.filter(scope => !apiKey.scopes.includes(scope));
+  if (missingScopes.length > 0) {
+    return res.status(403).json({
+      message: `API key is missing required scope: ${missingScopes.join(', ')}`,
+      code: 'API_KEY_SCOPE_REQUIRED'
+    });
+  }
+
+  // Track last use for the key list; never block the request on it
+  ApiKey.touch(apiKey._id, req.ip).catch((touchError) => {
+    console.error('API key touch error:', touchError);
+  });
+
+  // Same shape as a decoded access token so handlers don't need to care
+  req.userId = user._id;
+  req.apiKeyId = apiKey._id;
+  req.user = {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    name: user.name,
+    department: user.department,
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes
+  };
+
+  next();
+};
+
+/**
+ * Build the authentication middleware
+ * @param {Object} options
+ *   - allowPendingTwoFactor: lets users whose role requires 2FA reach the routes
+ *     needed to enroll before they have completed it
+ *   - allowPendingPasswordChange: lets users whose password has expired reach the routes
+ *     needed to change it
+ *   - apiKeyScopes: scopes an API key must hold to use the route (keys are rejected if omitted)
+ */
+const authenticate = (options = {}) => async (req, res, next) => {
+  const apiKeyHeader = req.header('X-API-Key');
+  if (apiKeyHeader) {
+    return authenticateApiKey(apiKeyHeader, options, req, res, next);
+  }
 
-const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -11,18 +91,115 @@ const authMiddleware = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      throw new Error();
+    }
+
+    // Reject tokens whose session was revoked (logout, deactivation) or has expired
+    const sessionActive = await Session.isActiveSession(decoded.sid);
+    if (!sessionActive) {
+      throw new Error();
+    }
+
+    // Track last activity for the session list; never block the request on it
+    Session.touch(decoded.sid).catch((touchError) => {
+      console.error('Session touch error:', touchError);
+    });
     
     // Add user info to request
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
     req.user = decoded;
-    
-    next();
   } catch (error) {
-    res.status(401).json({ message: 'Please authenticate' });
+    return res.status(401).json({ message: 'Please authenticate' });
+  }
+
+  // Attribute every change made while impersonating to both the user and the admin
+  if (req.user.impersonatedBy && MUTATING_METHODS.includes(req.method)) {
+    AuthEvent.record('impersonated_action', {
+      email: req.user.email,
+      userId: req.user.userId,
+      performedBy: req.user.impersonatedBy,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: { method: req.method, path: req.originalUrl, sessionId: req.sessionId }
+    });
+  }
+
+  // Expired passwords must be changed before anything else
+  if (req.user.pwc && !options.allowPendingPasswordChange) {
+    return res.status(403).json({
+      message: 'Your password has expired and must be changed',
+      code: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+
+  try {
+    // Enforce the two-factor policy for roles that require it
+    if (!req.user.mfa && !options.allowPendingTwoFactor) {
+      const security = await Setting.getValue('security');
+      if (security.twoFactorRequiredRoles.includes(req.user.role)) {
+        return res.status(403).json({
+          message: 'Two-factor authentication is required for your role',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Two-factor policy check error:', error);
+    return res.status(500).json({ message: 'Error checking authentication policy' });
   }
+
+  next();
+};
+
+const authMiddleware = authenticate();
+
+/**
+ * Authenticate with an access token, or with an API key holding all of the given scopes
+ * @param {...String} scopes - e.g. 'clients:read'
+ */
+const allowApiKey = (...scopes) => authenticate({ apiKeyScopes: scopes });
+
+// Block routes an admin must not use on someone else's behalf (credentials, 2FA, API keys)
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({
+      message: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
+// Permission-based access control middleware (requires every listed permission)
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    try {
+      const granted = await Role.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: 'Forbidden: Insufficient permissions',
+          missingPermissions: missing
+        });
+      }
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ message: 'Error checking permissions' });
+    }
+
+    next();
+  };
 };
 
-// Optional: Role-based access control middleware
+// Role-based access control middleware (prefer requirePermission for new routes)
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -38,6 +215,10 @@ const authorize = (...roles) => {
 };
 
 module.exports = {
+  authenticate,
   authMiddleware,
+  allowApiKey,
+  forbidImpersonation,
+  requirePermission,
   authorize
 };
\ No newline at end of file
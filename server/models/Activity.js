@@ -18,6 +18,20 @@ const activitySchema = new mongoose.Schema({
     index: true // Index for faster queries by user
   },
   
+  // Contact person at the client the activity involved (optional)
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  
+  // Admin who performed the activity while impersonating userId (null otherwise)
+  impersonatedBy: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  
   // Type of activity performed
   type: {
     type: String,
@@ -29,7 +43,8 @@ const activitySchema = new mongoose.Schema({
         'note_added',        // Note was added to client
         'email_sent',        // Email was sent to client
         'call_made',         // Phone call was made to client
-        'meeting_scheduled'  // Meeting was scheduled with client
+        'meeting_scheduled', // Meeting was scheduled with client
+        'merged'             // Duplicate clients were merged into this one
       ],
       message: 'Invalid activity type'
     },
@@ -63,6 +78,8 @@ activitySchema.index({ clientId: 1, createdAt: -1 }); // Recent activities for a
 activitySchema.index({ userId: 1, createdAt: -1 });   // Recent activities by a user
 activitySchema.index({ type: 1, createdAt: -1 });     // Recent activities by type
 activitySchema.index({ clientId: 1, type: 1, createdAt: -1 }); // Specific activity types for a client
+activitySchema.index({ impersonatedBy: 1, createdAt: -1 }, { sparse: true }); // Activities performed while impersonating
+activitySchema.index({ contactId: 1, createdAt: -1 }, { sparse: true }); // Activities with a contact
 
 // Virtual to populate user details
 activitySchema.virtual('user', {
@@ -109,16 +126,26 @@ activitySchema.statics.createActivity = async function(activityData) {
   if (!userExists) {
     throw new Error('User not found');
   }
+
+  // A referenced contact must belong to the same client
+  if (activityData.contactId) {
+    const Contact = mongoose.model('Contact');
+    const contactExists = await Contact.exists({ _id: activityData.contactId, clientId: activityData.clientId });
+    if (!contactExists) {
+      throw new Error('Contact not found');
+    }
+  }
   
   // Create and return the activity
   return this.create(activityData);
 };
 
 // Static method to log a status change activity
-activitySchema.statics.logStatusChange = async function(clientId, userId, oldStatus, newStatus, notes = '') {
+activitySchema.statics.logStatusChange = async function(clientId, userId, oldStatus, newStatus, notes = '', impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'status_changed',
     description: `Status changed from ${oldStatus} to ${newStatus}`,
     metadata: {
@@ -130,10 +157,11 @@ activitySchema.statics.logStatusChange = async function(clientId, userId, oldSta
 };
 
 // Static method to log an email sent activity
-activitySchema.statics.logEmailSent = async function(clientId, userId, subject, recipientEmail) {
+activitySchema.statics.logEmailSent = async function(clientId, userId, subject, recipientEmail, impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'email_sent',
     description: `Email sent: "${subject}"`,
     metadata: {
@@ -145,10 +173,11 @@ activitySchema.statics.logEmailSent = async function(clientId, userId, subject,
 };
 
 // Static method to log a call made activity
-activitySchema.statics.logCallMade = async function(clientId, userId, duration, outcome) {
+activitySchema.statics.logCallMade = async function(clientId, userId, duration, outcome, impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'call_made',
     description: `Call made (${duration} minutes)`,
     metadata: {
@@ -160,10 +189,11 @@ activitySchema.statics.logCallMade = async function(clientId, userId, duration,
 };
 
 // Static method to log a meeting scheduled activity
-activitySchema.statics.logMeetingScheduled = async function(clientId, userId, meetingDate, location, agenda) {
+activitySchema.statics.logMeetingScheduled = async function(clientId, userId, meetingDate, location, agenda, impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'meeting_scheduled',
     description: `Meeting scheduled for ${new Date(meetingDate).toLocaleDateString()}`,
     metadata: {
@@ -176,10 +206,11 @@ activitySchema.statics.logMeetingScheduled = async function(clientId, userId, me
 };
 
 // Static method to log a note added activity
-activitySchema.statics.logNoteAdded = async function(clientId, userId, noteContent) {
+activitySchema.statics.logNoteAdded = async function(clientId, userId, noteContent, impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'note_added',
     description: noteContent.substring(0, 100) + (noteContent.length > 100 ? '...' : ''),
     metadata: {
@@ -190,10 +221,11 @@ activitySchema.statics.logNoteAdded = async function(clientId, userId, noteConte
 };
 
 // Static method to log client creation activity
-activitySchema.statics.logClientCreated = async function(clientId, userId, clientName) {
+activitySchema.statics.logClientCreated = async function(clientId, userId, clientName, impersonatedBy = null) {
   return this.createActivity({
     clientId,
     userId,
+    impersonatedBy,
     type: 'created',
     description: `Client "${clientName}" was created`,
     metadata: {
@@ -203,12 +235,30 @@ activitySchema.statics.logClientCreated = async function(clientId, userId, clien
   });
 };
 
+// Static method to log a merge of duplicate clients into clientId
+activitySchema.statics.logClientsMerged = async function(clientId, userId, mergedClients, fieldSources = {}, impersonatedBy = null) {
+  const names = mergedClients.map(client => `"${client.name}"`).join(', ');
+  return this.createActivity({
+    clientId,
+    userId,
+    impersonatedBy,
+    type: 'merged',
+    description: `Merged ${names} into this client`.slice(0, 500),
+    metadata: {
+      mergedClients,
+      fieldSources,
+      mergedAt: new Date()
+    }
+  });
+};
+
 // Static method to get recent activities for a client
 activitySchema.statics.getClientActivities = function(clientId, limit = 50) {
   return this.find({ clientId })
     .sort({ createdAt: -1 })
     .limit(limit)
-    .populate('userId', 'name email role');
+    .populate('userId', 'name email role')
+    .populate('impersonatedBy', 'name email');
 };
 
 // Static method to get recent activities by a user
@@ -262,7 +312,8 @@ activitySchema.statics.getActivitiesTimeline = function(clientIds, startDate, en
 };
 
 // Static method to get activity statistics for reporting
-activitySchema.statics.getActivityStats = async function(startDate, endDate, userId = null) {
+// clientStages optionally limits the stats to activities on visible clients (see visibleClientStages)
+activitySchema.statics.getActivityStats = async function(startDate, endDate, userId = null, clientStages = []) {
   const matchQuery = {};
   
   if (startDate || endDate) {
@@ -277,6 +328,7 @@ activitySchema.statics.getActivityStats = async function(startDate, endDate, use
   
   const stats = await this.aggregate([
     { $match: matchQuery },
+    ...clientStages,
     {
       $group: {
         _id: {
@@ -319,7 +371,8 @@ activitySchema.methods.formatForDisplay = function() {
     'note_added': '📝 Note Added',
     'email_sent': '📧 Email Sent',
     'call_made': '📞 Call Made',
-    'meeting_scheduled': '📅 Meeting Scheduled'
+    'meeting_scheduled': '📅 Meeting Scheduled',
+    'merged': '🔗 Merged'
   };
   
   return {
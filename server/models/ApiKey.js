@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+
+// Raw keys look like `rbx_<64 hex chars>`; the prefix makes leaked keys easy to spot
+const API_KEY_PREFIX = 'rbx_';
+
+// Permissions an API key can be granted
+const API_KEY_SCOPES = [
+  'clients:read',
+  'clients:write',
+  'clients:import',
+  'clients:export',
+  'activities:read',
+  'activities:write',
+  'payments:read'
+];
+
+// ApiKey Schema - personal, scoped keys for integrations and scripts
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  userId: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    required: [true, 'User ID is required for API key'],
+    index: true
+  },
+  // SHA-256 hash of the key; the raw key is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key so users can tell their keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid API key scope'
+      }
+    }],
+    validate: {
+      validator: (scopes) => Array.isArray(scopes) && scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'API key expiry is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual to check if the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !!this.expiresAt && this.expiresAt > new Date();
+});
+
+// Static method to create a key; returns the document and the raw key (shown once)
+apiKeySchema.statics.createForUser = async function(userId, { name, scopes, expiresAt }) {
+  const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+  const apiKey = await this.create({
+    name,
+    userId,
+    keyHash: hashToken(key),
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+  return { apiKey, key };
+};
+
+// Static method to find a usable key by its raw value
+apiKeySchema.statics.findActiveByKey = function(key) {
+  if (!key || !String(key).startsWith(API_KEY_PREFIX)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to record key usage (throttled to one write per minute)
+apiKeySchema.statics.touch = function(apiKeyId, ip) {
+  const now = new Date();
+  return this.updateOne(
+    {
+      _id: apiKeyId,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } }
+      ]
+    },
+    { $set: { lastUsedAt: now, ...(ip && { lastUsedIp: ip }) } }
+  );
+};
+
+// Remove sensitive data when converting to JSON
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Audit entries are kept for this many days
+const AUTH_AUDIT_RETENTION_DAYS = parseInt(process.env.AUTH_AUDIT_RETENTION_DAYS || '90', 10);
+
+// AuthEvent Schema - audit trail of security-relevant authentication events
+const authEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: {
+      values: [
+        'login_success',
+        'login_failed',
+        'login_blocked',
+        'two_factor_failed',
+        'account_locked',
+        'ip_locked',
+        'account_unlocked',
+        'ip_unlocked',
+        'impersonation_started',
+        'impersonation_ended',
+        'impersonated_action'
+      ],
+      message: 'Invalid auth event type'
+    }
+  },
+  // Email the attempt was made for (may not belong to an existing user)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  // User who performed the action, e.g. the admin who unlocked an account
+  // or who was impersonating userId
+  performedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+authEventSchema.index({ email: 1, createdAt: -1 });
+authEventSchema.index({ ip: 1, createdAt: -1 });
+authEventSchema.index({ type: 1, createdAt: -1 });
+authEventSchema.index({ performedBy: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUTH_AUDIT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to record an event; auditing must never break the request itself
+authEventSchema.statics.record = async function(type, details = {}) {
+  try {
+    const { userAgent, ...rest } = details;
+    return await this.create({
+      type,
+      ...rest,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined
+    });
+  } catch (error) {
+    console.error('Auth event record error:', error);
+    return null;
+  }
+};
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+module.exports = AuthEvent;
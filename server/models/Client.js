@@ -1,4 +1,83 @@
 const mongoose = require('mongoose');
+const {
+  CLIENT_SEARCH_WEIGHTS,
+  escapeRegex,
+  buildClientSearchFilter,
+  relevanceProjection,
+  relevanceSort
+} = require('../utils/clientSearch');
+const {
+  ADDRESS_TYPES,
+  LEGACY_ADDRESS_FIELDS,
+  formatAddress,
+  findDefaultAddress,
+  normalizeAddressDefaults,
+  legacyFieldsFromAddresses,
+  applyLegacyFields
+} = require('../utils/addresses');
+
+// Address Schema - a billing, shipping or other address of a client
+const addressSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ADDRESS_TYPES,
+      message: 'Address type must be billing, shipping or other'
+    },
+    required: [true, 'Address type is required']
+  },
+  // Optional name for the address (e.g. "Warehouse", "HQ")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Address label cannot exceed 100 characters']
+  },
+  line1: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address line 2 cannot exceed 200 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  state: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'State cannot exceed 100 characters']
+  },
+  postalCode: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Postal code cannot exceed 20 characters']
+  },
+  // ISO 3166-1 alpha-2 code, as Stripe expects
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO country code']
+  },
+  // The default address of its type (one per type, see utils/addresses.js)
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the address on one line
+addressSchema.virtual('fullAddress').get(function() {
+  return formatAddress(this);
+});
 
 // Client Schema with comprehensive CRM fields
 const clientSchema = new mongoose.Schema({
@@ -38,6 +117,27 @@ const clientSchema = new mongoose.Schema({
     ref: 'User',
     index: true
   },
+  // Parent account for chain locations and subsidiaries (see utils/clientHierarchy.js)
+  parentClientId: {
+    type: String,
+    ref: 'Client',
+    default: null,
+    index: true
+  },
+  // Users (by email) who can see this client in addition to the owner's scope
+  sharedWith: [{
+    type: String,
+    ref: 'User',
+    lowercase: true,
+    trim: true
+  }],
+  // Tags from the catalog (references Tag by key)
+  tags: [{
+    type: String,
+    ref: 'Tag',
+    lowercase: true,
+    trim: true
+  }],
   
   // Contact Status and Type
   contactStatus: {
@@ -74,7 +174,13 @@ const clientSchema = new mongoose.Schema({
     index: true // Index for email searches
   },
   
-  // Address Information
+  // Billing, shipping and other addresses
+  addresses: {
+    type: [addressSchema],
+    default: []
+  },
+
+  // Address Information (a copy of the default billing address, kept in sync on save)
   address: {
     type: String,
     trim: true,
@@ -235,10 +341,19 @@ const clientSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Stripe customer the card is attached to, when it isn't the client's own
+      // (cards can't move between Stripe customers, so merged clients keep theirs)
+      stripeCustomerId: {
+        type: String
+      },
       createdAt: {
         type: Date,
         default: Date.now
       }
+    }],
+    // Stripe customers of clients merged into this one (for payment history)
+    mergedCustomerIds: [{
+      type: String
     }]
   },
   
@@ -254,6 +369,26 @@ const clientSchema = new mongoose.Schema({
     maxlength: [100, 'Payment method cannot exceed 100 characters']
   },
   
+  // Values for admin-defined custom fields, keyed by CustomField key
+  // (validated against the definitions in the controllers, see utils/customFields.js)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Trash: set when the client is deleted; trashed clients are purged after the
+  // retention period (see services/trashService.js)
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    default: null
+  },
+
   // Status History Tracking
   statusHistory: [{
     status: {
@@ -285,17 +420,26 @@ const clientSchema = new mongoose.Schema({
 // Compound indexes for complex queries
 clientSchema.index({ contactStatus: 1, industry: 1 });
 clientSchema.index({ ownedBy: 1, contactStatus: 1 });
+clientSchema.index({ sharedWith: 1 });
+clientSchema.index({ tags: 1 });
 clientSchema.index({ city: 1, state: 1 });
 clientSchema.index({ createdAt: -1 });
+// Weighted full-text search (see utils/clientSearch.js)
+clientSchema.index(
+  Object.fromEntries(Object.keys(CLIENT_SEARCH_WEIGHTS).map(field => [field, 'text'])),
+  {
+    name: 'client_text_search',
+    weights: CLIENT_SEARCH_WEIGHTS,
+    // Clients have no per-document language field; don't let one be picked up by accident
+    language_override: 'searchLanguage'
+  }
+);
 
-// Virtual for full address
+// Virtual for the default billing address on one line (each address has its own fullAddress)
 clientSchema.virtual('fullAddress').get(function() {
-  const parts = [];
-  if (this.address) parts.push(this.address);
-  if (this.city) parts.push(this.city);
-  if (this.state) parts.push(this.state);
-  if (this.postalCode) parts.push(this.postalCode);
-  return parts.join(', ');
+  const main = findDefaultAddress(this.addresses, 'billing') || (this.addresses || [])[0];
+  if (main) return formatAddress(main);
+  return formatAddress({ line1: this.address, city: this.city, state: this.state, postalCode: this.postalCode });
 });
 
 // Virtual to check if payment method exists
@@ -326,6 +470,33 @@ clientSchema.virtual('hasExpiringCards').get(function() {
   });
 });
 
+// Trashed clients are left out of every query unless it filters on deletedAt itself
+// or sets the withDeleted option (e.g. maintenance updates that must reach the trash too)
+const TRASH_FILTERED_QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndDelete',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+clientSchema.pre(TRASH_FILTERED_QUERIES, function() {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+// Same for aggregations: merged into a leading $match (which must stay first for $text)
+clientSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const first = pipeline[0] && pipeline[0].$match;
+  if (first && Object.prototype.hasOwnProperty.call(first, 'deletedAt')) {
+    return;
+  }
+  if (first) {
+    pipeline[0] = { $match: { ...first, deletedAt: null } };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Pre-save hook to track status changes
 clientSchema.pre('save', function(next) {
   // If contactStatus has changed, add to history
@@ -338,6 +509,16 @@ clientSchema.pre('save', function(next) {
   if (this.email) {
     this.email = this.email.toLowerCase();
   }
+
+  // Keep the addresses and the single-address fields in sync; an edited address list wins
+  const addressesChanged = this.isModified('addresses') && (this.addresses.length > 0 || !this.isNew);
+  if (addressesChanged) {
+    normalizeAddressDefaults(this.addresses);
+    this.set(legacyFieldsFromAddresses(this.addresses));
+  } else if (Object.keys(LEGACY_ADDRESS_FIELDS).some(field => this.isModified(field))) {
+    const addresses = applyLegacyFields(this.addresses, this);
+    if (addresses) this.addresses = addresses;
+  }
   
   next();
 });
@@ -479,6 +660,26 @@ clientSchema.methods.toJSON = function() {
   return client;
 };
 
+// Static method to fill default billing addresses from the single-address fields
+// (for bulk writes that skip the save hook, such as CSV imports); blank fields are ignored
+clientSchema.statics.syncAddressesFromLegacy = async function(filter) {
+  const clients = await this.find(filter).select('address city state postalCode addresses').lean();
+  const ops = [];
+  for (const client of clients) {
+    const filled = Object.fromEntries(
+      Object.keys(LEGACY_ADDRESS_FIELDS).filter(field => client[field]).map(field => [field, client[field]])
+    );
+    const addresses = applyLegacyFields(client.addresses, filled);
+    if (addresses) {
+      ops.push({ updateOne: { filter: { _id: client._id }, update: { $set: { addresses } } } });
+    }
+  }
+  if (ops.length > 0) {
+    await this.bulkWrite(ops, { ordered: false });
+  }
+  return ops.length;
+};
+
 // Static method to find clients by status
 clientSchema.statics.findByStatus = function(status) {
   return this.find({ contactStatus: status });
@@ -510,17 +711,22 @@ clientSchema.statics.findExpiringCards = function() {
 };
 
 // Static method for advanced search
+// criteria.search runs the weighted text search and ranks results by relevance
 clientSchema.statics.searchClients = function(criteria) {
   const query = {};
   
+  const textFilter = buildClientSearchFilter(criteria.search);
+  if (textFilter) {
+    Object.assign(query, textFilter);
+  }
   if (criteria.name) {
-    query.name = new RegExp(criteria.name, 'i');
+    query.name = new RegExp(escapeRegex(criteria.name), 'i');
   }
   if (criteria.email) {
-    query.email = new RegExp(criteria.email, 'i');
+    query.email = new RegExp(escapeRegex(criteria.email), 'i');
   }
   if (criteria.city) {
-    query.city = new RegExp(criteria.city, 'i');
+    query.city = new RegExp(escapeRegex(criteria.city), 'i');
   }
   if (criteria.industry) {
     query.industry = criteria.industry;
@@ -532,6 +738,9 @@ clientSchema.statics.searchClients = function(criteria) {
     query.ownedBy = criteria.ownedBy;
   }
   
+  if (textFilter) {
+    return this.find(query, relevanceProjection).sort(relevanceSort);
+  }
   return this.find(query);
 };
 
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { CONTACT_ROLES } = require('../utils/contacts');
+
+// Contact Schema - a person at a client account (buyer, owner, accounts payable, ...)
+const contactSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    ref: 'Client',
+    required: [true, 'Client ID is required for contact'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+    maxlength: [200, 'Contact name cannot exceed 200 characters']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Phone cannot exceed 50 characters']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: CONTACT_ROLES,
+      message: 'Invalid contact role'
+    },
+    default: 'other'
+  },
+  // The main person to reach at the client (at most one per client)
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ clientId: 1, isPrimary: -1, name: 1 });
+contactSchema.index({ clientId: 1, email: 1 });
+
+// Static method to make a contact the client's only primary contact
+contactSchema.statics.setPrimary = async function(clientId, contactId) {
+  await this.updateMany(
+    { clientId, isPrimary: true, _id: { $ne: contactId } },
+    { $set: { isPrimary: false } }
+  );
+  await this.updateOne({ _id: contactId, clientId }, { $set: { isPrimary: true } });
+};
+
+// Static method to promote the oldest contact of each client that has none marked primary
+contactSchema.statics.assignMissingPrimary = async function(clientIds) {
+  const ids = [...new Set(clientIds.map(String))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const withPrimary = await this.distinct('clientId', { clientId: { $in: ids }, isPrimary: true });
+  const missing = ids.filter(id => !withPrimary.includes(id));
+  if (missing.length === 0) {
+    return;
+  }
+
+  const oldest = await this.aggregate([
+    { $match: { clientId: { $in: missing } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$clientId', contactId: { $first: '$_id' } } }
+  ]);
+  if (oldest.length > 0) {
+    await this.updateMany(
+      { _id: { $in: oldest.map(entry => entry.contactId) } },
+      { $set: { isPrimary: true } }
+    );
+  }
+};
+
+contactSchema.methods.toJSON = function() {
+  const contact = this.toObject();
+  delete contact.__v;
+  return contact;
+};
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+module.exports = Contact;
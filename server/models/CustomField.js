@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_FILTER_TYPES, MAX_OPTIONS } = require('../utils/customFields');
+
+// Definitions are read on every client create, update, filter and export, so cache briefly
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+
+// Types whose values must come from the options list
+const OPTION_TYPES = ['select', 'multi-select'];
+
+// CustomField Schema - an admin-defined field stored on clients under customFields.<key>
+const customFieldSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Key used in client documents, filters and imports, e.g. 'contractTier'
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{1,49}$/, 'Key must be 2-50 letters, digits or underscores, starting with a letter']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: {
+      values: CUSTOM_FIELD_TYPES,
+      message: 'Invalid custom field type'
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values for select and multi-select fields
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Options cannot exceed 100 characters']
+    }],
+    validate: {
+      validator: function(options) {
+        if (!OPTION_TYPES.includes(this.type)) {
+          return options.length === 0;
+        }
+        const normalized = options.map(option => option.toLowerCase());
+        return options.length > 0 && options.length <= MAX_OPTIONS &&
+          new Set(normalized).size === normalized.length;
+      },
+      message: `Select fields need 1-${MAX_OPTIONS} distinct options; other types take none`
+    }
+  },
+  // Display order in forms and exports
+  position: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  },
+  updatedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  _id: false
+});
+
+// Static method to list every definition in display order (cached); returns plain objects
+customFieldSchema.statics.findAllCached = async function() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.fields;
+  }
+
+  const fields = await this.find().sort({ position: 1, label: 1 }).lean();
+  cache = { fields, expiresAt: Date.now() + CACHE_TTL_MS };
+  return fields;
+};
+
+// Static method to describe the definitions as client filter fields (see utils/clientFilter.js)
+customFieldSchema.statics.getFilterFields = async function() {
+  const fields = await this.findAllCached();
+  return Object.fromEntries(fields.map(field => [
+    `customFields.${field._id}`,
+    { type: CUSTOM_FIELD_FILTER_TYPES[field.type], label: field.label }
+  ]));
+};
+
+// Static method to drop cached definitions after an edit
+customFieldSchema.statics.clearCache = function() {
+  cache = null;
+};
+
+customFieldSchema.methods.toJSON = function() {
+  const field = this.toObject();
+  delete field.__v;
+  return field;
+};
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+
+module.exports = CustomField;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const Role = require('./Role');
+
+// Invitation Schema - admins/managers invite users instead of open self-registration
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    index: true
+  },
+  role: {
+    type: String, // References Role by key (_id)
+    ref: 'Role',
+    required: [true, 'Role is required'],
+    validate: {
+      validator: async (value) => !!(await Role.findCached(value)),
+      message: 'Role {VALUE} does not exist'
+    }
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Department cannot exceed 100 characters']
+  },
+  // SHA-256 hash of the emailed token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'accepted', 'revoked'],
+      message: 'Invalid invitation status'
+    },
+    default: 'pending',
+    index: true
+  },
+  invitedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual to check if the invitation has expired
+invitationSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Instance method to (re)issue the invite token; returns the raw token for the email link
+invitationSchema.methods.issueToken = function(expiresInDays) {
+  const token = generateToken();
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find a pending, unexpired invitation by raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Remove sensitive data when converting to JSON
+invitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  delete invitation.__v;
+  return invitation;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
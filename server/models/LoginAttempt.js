@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// LoginAttempt Schema - failed login counters shared by all server instances
+// One document per throttled key, e.g. 'account:jane@example.com' or 'ip:203.0.113.7'
+const loginAttemptSchema = new mongoose.Schema({
+  _id: {
+    type: String // `${scope}:${identifier}`
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip']
+  },
+  identifier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Consecutive failures since the last success, lockout or quiet period
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Number of lockouts so far; each one lasts twice as long as the previous
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // Exponential backoff: no attempt is accepted before this time
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Let MongoDB drop counters once they no longer matter
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  _id: false
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build the document key for a scope and identifier
+loginAttemptSchema.statics.buildKey = function(scope, identifier) {
+  return `${scope}:${String(identifier).toLowerCase()}`;
+};
+
+// Static method to find the longest active block among keys
+// Returns { scope, identifier, locked, retryAfterSeconds } or null
+loginAttemptSchema.statics.findBlock = async function(keys) {
+  const now = Date.now();
+  const attempts = await this.find({ _id: { $in: keys } }).lean();
+
+  let block = null;
+  for (const attempt of attempts) {
+    const locked = !!attempt.lockedUntil && attempt.lockedUntil.getTime() > now;
+    const until = locked
+      ? attempt.lockedUntil.getTime()
+      : (attempt.nextAttemptAt ? attempt.nextAttemptAt.getTime() : 0);
+    if (until <= now) continue;
+
+    const retryAfterSeconds = Math.ceil((until - now) / 1000);
+    if (!block || retryAfterSeconds > block.retryAfterSeconds) {
+      block = { scope: attempt.scope, identifier: attempt.identifier, locked, retryAfterSeconds };
+    }
+  }
+  return block;
+};
+
+// Static method to count a failed attempt and apply backoff or lockout
+// policy: { maxFailures, lockoutMinutes, maxLockoutMinutes, backoffBaseSeconds, backoffMaxSeconds, windowMinutes }
+// Returns { attempt, lockedNow }
+loginAttemptSchema.statics.registerFailure = async function(scope, identifier, policy) {
+  const key = this.buildKey(scope, identifier);
+  const now = new Date();
+  const windowMs = policy.windowMinutes * 60 * 1000;
+
+  // Failures older than the window no longer count towards a lockout
+  await this.updateOne(
+    { _id: key, lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } },
+    { $set: { failures: 0 } }
+  );
+
+  // Atomic increment so concurrent failures on several instances are all counted
+  const attempt = await this.findOneAndUpdate(
+    { _id: key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+      $setOnInsert: { scope, identifier: String(identifier).toLowerCase() }
+    },
+    { new: true, upsert: true }
+  );
+
+  const update = {};
+  let lockedNow = false;
+  if (attempt.failures >= policy.maxFailures) {
+    // Temporary lockout, doubling with each repeat offence
+    const lockMinutes = Math.min(
+      policy.lockoutMinutes * Math.pow(2, attempt.lockouts),
+      policy.maxLockoutMinutes
+    );
+    const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    update.$set = {
+      failures: 0,
+      lockedUntil,
+      nextAttemptAt: null,
+      expiresAt: new Date(lockedUntil.getTime() + windowMs)
+    };
+    update.$inc = { lockouts: 1 };
+    lockedNow = true;
+  } else {
+    // Exponential backoff between attempts: base, 2x base, 4x base, ...
+    const delaySeconds = Math.min(
+      policy.backoffBaseSeconds * Math.pow(2, attempt.failures - 1),
+      policy.backoffMaxSeconds
+    );
+    update.$set = { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) };
+  }
+
+  const updated = await this.findOneAndUpdate({ _id: key }, update, { new: true });
+  return { attempt: updated || attempt, lockedNow };
+};
+
+// Static method to clear counters for a key (successful login or admin unlock)
+loginAttemptSchema.statics.clear = function(scope, identifier) {
+  return this.deleteOne({ _id: this.buildKey(scope, identifier) });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
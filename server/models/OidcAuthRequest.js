@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokenUtils');
+
+// Users have this many minutes to finish signing in at the identity provider
+const OIDC_REQUEST_EXPIRE_MINUTES = 10;
+
+// OidcAuthRequest Schema - one pending single sign-on attempt (authorization code flow)
+// Holds the PKCE verifier and nonce server-side so they never travel through the browser
+const oidcAuthRequestSchema = new mongoose.Schema({
+  _id: {
+    type: String // SHA-256 hash of the `state` parameter
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Frontend path to return to once signed in
+  redirectTo: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  _id: false
+});
+
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store a pending request under its state
+oidcAuthRequestSchema.statics.createForState = function(state, { codeVerifier, nonce, redirectTo, ip }) {
+  return this.create({
+    _id: hashToken(state),
+    codeVerifier,
+    nonce,
+    redirectTo,
+    ip,
+    expiresAt: new Date(Date.now() + OIDC_REQUEST_EXPIRE_MINUTES * 60 * 1000)
+  });
+};
+
+// Static method to take a pending request (single use); null if unknown or expired
+oidcAuthRequestSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    _id: hashToken(state),
+    expiresAt: { $gt: new Date() }
+  }).lean();
+};
+
+const OidcAuthRequest = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
+
+module.exports = OidcAuthRequest;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// RateLimit Schema - fixed-window request counters shared by all server instances
+// One document per limited key, e.g. 'magic_link:email:jane@example.com'
+const rateLimitSchema = new mongoose.Schema({
+  _id: {
+    type: String // `${action}:${scope}:${identifier}`
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the current window; MongoDB drops the counter afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a request against a key
+// Returns { allowed, count, retryAfterSeconds }
+rateLimitSchema.statics.hit = async function(key, { limit, windowMinutes }) {
+  const now = new Date();
+
+  // Count within the current window if there is one
+  let counter = await this.findOneAndUpdate(
+    { _id: key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  ).lean();
+
+  // Otherwise start a new window (the TTL monitor may not have removed the old one yet)
+  if (!counter) {
+    counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMinutes * 60 * 1000) } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  const allowed = counter.count <= limit;
+  return {
+    allowed,
+    count: counter.count,
+    retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((counter.expiresAt.getTime() - now.getTime()) / 1000))
+  };
+};
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, DEFAULT_ROLES, SUPER_ROLE } = require('../utils/permissions');
+
+// Roles are read on every permission check, so cache briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Role Schema - an editable, named bundle of permissions
+const roleSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Role key stored on users, e.g. 'manager'
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Role key must be 2-50 lowercase letters, digits, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [100, 'Role name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: ALL_PERMISSIONS,
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  // Permissions that existed when this built-in role was last seeded; lets startup
+  // grant newly introduced default permissions without undoing an admin's removals
+  knownPermissions: {
+    type: [String],
+    select: false
+  },
+  // Built-in roles can be edited (except admin) but never deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  _id: false
+});
+
+// Static method to read a role (cached); returns a plain object or null
+roleSchema.statics.findCached = async function(roleId) {
+  if (!roleId) {
+    return null;
+  }
+
+  const cached = cache.get(roleId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  const role = await this.findById(roleId).lean();
+  cache.set(roleId, { role, expiresAt: Date.now() + CACHE_TTL_MS });
+  return role;
+};
+
+// Static method to list the permissions granted by a role
+roleSchema.statics.getPermissions = async function(roleId) {
+  if (roleId === SUPER_ROLE) {
+    return ALL_PERMISSIONS;
+  }
+  const role = await this.findCached(roleId);
+  return role ? role.permissions : [];
+};
+
+// Static method to check whether one role may hand out another
+// A role can only be assigned by someone who already holds all of its permissions
+roleSchema.statics.canAssign = async function(actorRoleId, targetRoleId) {
+  const [actorPermissions, targetRole] = await Promise.all([
+    this.getPermissions(actorRoleId),
+    this.findCached(targetRoleId)
+  ]);
+  if (!targetRole) {
+    return false;
+  }
+  const targetPermissions = await this.getPermissions(targetRoleId);
+  return targetPermissions.every(permission => actorPermissions.includes(permission));
+};
+
+// Static method to drop cached roles after an edit
+roleSchema.statics.clearCache = function(roleId) {
+  if (roleId) {
+    cache.delete(roleId);
+  } else {
+    cache.clear();
+  }
+};
+
+// Static method to create the built-in roles if they are missing
+// Existing roles keep their edited permissions but receive default permissions added
+// since they were last seeded; admin always receives every permission
+roleSchema.statics.seedDefaults = async function() {
+  for (const { _id, permissions, ...fields } of DEFAULT_ROLES) {
+    if (_id === SUPER_ROLE) {
+      await this.updateOne(
+        { _id },
+        { $set: { permissions: ALL_PERMISSIONS, knownPermissions: ALL_PERMISSIONS, isSystem: true }, $setOnInsert: fields },
+        { upsert: true }
+      );
+      continue;
+    }
+
+    const existing = await this.findById(_id).select('+knownPermissions').lean();
+    if (!existing) {
+      await this.create({ _id, ...fields, permissions, knownPermissions: ALL_PERMISSIONS, isSystem: true });
+      continue;
+    }
+
+    const known = existing.knownPermissions || [];
+    const added = permissions.filter(permission => !known.includes(permission));
+    await this.updateOne(
+      { _id },
+      {
+        $addToSet: { permissions: { $each: added } },
+        $set: { knownPermissions: ALL_PERMISSIONS, isSystem: true }
+      }
+    );
+  }
+  this.clearCache();
+};
+
+roleSchema.methods.toJSON = function() {
+  const role = this.toObject();
+  delete role.knownPermissions;
+  delete role.__v;
+  return role;
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const CustomField = require('./CustomField');
+const { parseClientFilter, applyClientFilter } = require('../utils/clientFilter');
+const { buildClientSearchFilter } = require('../utils/clientSearch');
+
+const VISIBILITIES = ['private', 'team', 'global'];
+
+// Fields the client list can be sorted by (mirrors the listClients validation)
+const SORT_FIELDS = ['relevance', 'createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'];
+
+// SavedView Schema - a named client list configuration (filter, sort, columns, page size)
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // private: owner only; team: owner's department; global: everyone
+  visibility: {
+    type: String,
+    enum: {
+      values: VISIBILITIES,
+      message: 'Invalid visibility'
+    },
+    default: 'private'
+  },
+  // Department a team view is shared with (copied from the owner when saved)
+  department: {
+    type: String,
+    trim: true
+  },
+  // Structured client filter (see utils/clientFilter.js)
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    validate: {
+      validator: async function(value) {
+        try {
+          parseClientFilter(value, await CustomField.getFilterFields());
+          return true;
+        } catch (e) {
+          return false;
+        }
+      },
+      message: 'Invalid filter'
+    }
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Search cannot exceed 200 characters']
+  },
+  sortBy: {
+    type: String,
+    enum: {
+      values: SORT_FIELDS,
+      message: 'Invalid sort field'
+    },
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  // Client list columns in display order
+  columns: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  pageSize: {
+    type: Number,
+    default: 10,
+    min: [1, 'Page size must be between 1 and 100'],
+    max: [100, 'Page size must be between 1 and 100']
+  },
+  // Users (by email) who open the client list on this view
+  defaultFor: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+savedViewSchema.index({ visibility: 1, department: 1 });
+savedViewSchema.index({ defaultFor: 1 });
+
+// Static method to build the filter for views a user (req.user) can see
+savedViewSchema.statics.visibleTo = async function(user) {
+  // Read the department fresh so moving a user between departments applies immediately
+  const current = await User.findById(user.userId).select('department').lean();
+
+  const conditions = [
+    { owner: user.userId },
+    { visibility: 'global' }
+  ];
+  if (current?.department) {
+    conditions.push({ visibility: 'team', department: current.department });
+  }
+  return { $or: conditions };
+};
+
+// Static method to find a view the user can see
+savedViewSchema.statics.findVisible = async function(viewId, user) {
+  if (!mongoose.Types.ObjectId.isValid(viewId)) {
+    return null;
+  }
+  return this.findOne({ $and: [{ _id: viewId }, await this.visibleTo(user)] });
+};
+
+// Static method to make a view the user's default (replacing any previous one)
+savedViewSchema.statics.setDefaultFor = async function(userId, viewId) {
+  await this.updateMany({ defaultFor: userId }, { $pull: { defaultFor: userId } });
+  if (viewId) {
+    await this.updateOne({ _id: viewId }, { $addToSet: { defaultFor: userId } });
+  }
+};
+
+// Static method to find the user's default view (if still visible to them)
+savedViewSchema.statics.findDefaultFor = async function(user) {
+  return this.findOne({ $and: [{ defaultFor: user.userId }, await this.visibleTo(user)] });
+};
+
+// Instance method to parse the stored filter. Filter fields and rules can change after a
+// view is saved (e.g. a custom field changing type), so a filter that no longer parses
+// comes back as { error } instead of throwing
+savedViewSchema.methods.parseFilter = async function() {
+  const filterFields = await CustomField.getFilterFields();
+  try {
+    return { filter: parseClientFilter(this.filter, filterFields) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Instance method to build the client query for the view's filter and search
+// Returns { query }, or { error } when the stored filter no longer parses
+savedViewSchema.methods.buildClientQuery = async function() {
+  const { filter, error } = await this.parseFilter();
+  if (error) {
+    return { error };
+  }
+  const query = { ...buildClientSearchFilter(this.search) };
+  return { query: applyClientFilter(query, filter) };
+};
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+
+// Refresh tokens are valid for this many days of inactivity
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10);
+
+// Session Schema - one document per login, backing rotating refresh tokens
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    required: [true, 'User ID is required for session'],
+    index: true
+  },
+  // SHA-256 hash of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+    index: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    select: false,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Whether the login completed a two-factor challenge
+  mfaVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Password has expired; only change-password is allowed until it is changed
+  passwordChangeRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Admin acting as this user; impersonation sessions can't be refreshed
+  impersonatedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !!this.expiresAt && this.expiresAt > new Date();
+});
+
+// Static method to open a new session; returns the session and its raw refresh token
+sessionSchema.statics.createForUser = async function(userId, { ip, userAgent, mfaVerified = false, passwordChangeRequired = false, impersonatedBy = null, expiresAt } = {}) {
+  const refreshToken = generateToken(48);
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: expiresAt || new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    ip,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+    lastUsedAt: new Date(),
+    mfaVerified,
+    passwordChangeRequired,
+    impersonatedBy
+  });
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one (single use)
+// Returns { session, refreshToken } or { reused: true } / null when the token is not usable
+sessionSchema.statics.rotate = async function(refreshToken, { ip, userAgent } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateToken(48);
+  const now = new Date();
+
+  // Atomic compare-and-swap so two concurrent refreshes can't both succeed
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, impersonatedBy: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+        lastUsedAt: now,
+        ...(ip && { ip }),
+        ...(userAgent && { userAgent: String(userAgent).slice(0, 500) })
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // A rotated-out token being presented again means it was stolen: kill the session
+  const reused = await this.findOneAndUpdate(
+    { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+  );
+  return reused ? { reused: true } : null;
+};
+
+// Static method to check whether a session (by id) is still valid
+sessionSchema.statics.isActiveSession = async function(sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+  const exists = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!exists;
+};
+
+// Static method to record session activity (throttled to one write per minute)
+sessionSchema.statics.touch = function(sessionId) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: sessionId, lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } },
+    { $set: { lastUsedAt: now } }
+  );
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke a single session
+sessionSchema.statics.revokeSession = function(sessionId, reason = 'logout') {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every active session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(
+    query,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every impersonation session an admin has open
+sessionSchema.statics.revokeImpersonationsBy = function(adminUserId, reason = 'revoked') {
+  return this.updateMany(
+    { impersonatedBy: adminUserId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Remove sensitive data when converting to JSON
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousRefreshTokenHash;
+  delete session.__v;
+  return session;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Settings are read on hot paths (e.g. every authenticated request), so cache briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Default values for each settings document, merged under whatever is stored
+const DEFAULTS = {
+  security: {
+    // Roles that must complete TOTP two-factor authentication
+    twoFactorRequiredRoles: [],
+    // Email/password login; can be switched off once single sign-on is configured
+    passwordLoginEnabled: true,
+    // Passwordless sign-in through single-use emailed links
+    magicLinkEnabled: false
+  },
+  passwordPolicy: {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    // Reject passwords on the bundled common-password list (data/common-passwords.txt)
+    blockCommonPasswords: true,
+    // Number of previous passwords that can't be reused (0 disables the check)
+    historySize: 5,
+    // Force a change after this many days (0 disables expiry)
+    maxAgeDays: 0
+  },
+  trash: {
+    // Deleted clients are purged for good this many days after deletion (0 keeps them)
+    retentionDays: 30
+  }
+};
+
+// Setting Schema - admin-editable, deployment-wide configuration stored by key
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String // Setting key, e.g. 'security'
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  _id: false,
+  minimize: false
+});
+
+// Static method to read a settings object (defaults merged with stored values)
+settingSchema.statics.getValue = async function(key) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const doc = await this.findById(key).lean();
+  const value = { ...(DEFAULTS[key] || {}), ...((doc && doc.value) || {}) };
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Static method to merge updates into a settings object
+settingSchema.statics.setValue = async function(key, updates, updatedBy) {
+  const current = await this.findById(key).lean();
+  const value = { ...(DEFAULTS[key] || {}), ...((current && current.value) || {}), ...updates };
+  await this.updateOne(
+    { _id: key },
+    { $set: { value, updatedBy } },
+    { upsert: true }
+  );
+  cache.delete(key);
+  return value;
+};
+
+// Static method to claim a one-time marker (e.g. 'bootstrap'); the unique _id makes the
+// claim atomic, so exactly one caller gets true
+settingSchema.statics.claimOnce = async function(key, value, updatedBy) {
+  try {
+    await this.create({ _id: key, value, updatedBy });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
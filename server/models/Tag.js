@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Tag Schema - an entry in the admin-managed catalog of client tags
+const tagSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Key stored on clients, derived from the name, e.g. 'trade-show-2026'
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]{0,49}$/, 'Tag key must be 1-50 lowercase letters, digits or dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [50, 'Tag name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #1f8a70'],
+    default: '#6b7280'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  },
+  updatedBy: {
+    type: String, // References User by email (_id)
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  _id: false
+});
+
+// Static method to derive a tag key from its name ("Trade Show 2026" -> "trade-show-2026")
+tagSchema.statics.keyFromName = function(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+};
+
+// Static method to list the keys that aren't in the catalog
+tagSchema.statics.findUnknown = async function(keys) {
+  const unique = [...new Set(keys)];
+  const existing = await this.find({ _id: { $in: unique } }).select('_id').lean();
+  const known = new Set(existing.map(tag => tag._id));
+  return unique.filter(key => !known.has(key));
+};
+
+tagSchema.methods.toJSON = function() {
+  const tag = this.toObject();
+  delete tag.__v;
+  return tag;
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
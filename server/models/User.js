@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { generateToken, hashToken } = require('../utils/tokenUtils');
+const Role = require('./Role');
 
 // User Schema with email as _id for unique identification
 const userSchema = new mongoose.Schema({
@@ -27,12 +29,20 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't return password by default in queries
   },
+  // Hashes of previous passwords, newest first, to block reuse
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Used for the password policy's maximum age
+  passwordChangedAt: Date,
   role: {
-    type: String,
+    type: String, // References Role by key (_id)
+    ref: 'Role',
     required: [true, 'Role is required'],
-    enum: {
-      values: ['admin', 'manager', 'employee'],
-      message: 'Role must be either admin, manager, or employee'
+    validate: {
+      validator: async (value) => !!(await Role.findCached(value)),
+      message: 'Role {VALUE} does not exist'
     }
   },
   department: {
@@ -74,6 +84,37 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  // Passwordless sign-in link (hash only, single use)
+  magicLinkToken: String,
+  magicLinkExpire: Date,
+  // TOTP two-factor authentication (secrets are never returned by default)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   // Flexible metadata field for future extensions
   metadata: {
     type: Map,
@@ -110,6 +151,10 @@ userSchema.pre('save', async function(next) {
     return next();
   }
   
+  if (!this.isModified('passwordChangedAt')) {
+    this.passwordChangedAt = new Date();
+  }
+  
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -136,8 +181,33 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to check a candidate against the current and recent passwords
+// Requires the document to be loaded with '+password +passwordHistory'
+userSchema.methods.isPasswordReused = async function(candidatePassword, historySize = 0) {
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historySize)].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Instance method to replace the password, keeping the old hash in the history
+// The new password is hashed by the pre-save hook
+userSchema.methods.setPassword = function(newPassword, historySize = 0) {
+  if (historySize > 0 && this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, historySize);
+  } else if (historySize === 0) {
+    this.passwordHistory = [];
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Instance method to generate a short-lived JWT access token bound to a session
+// options.mfa marks tokens issued after a completed two-factor challenge
+userSchema.methods.generateAuthToken = function(sessionId, options = {}) {
   const jwt = require('jsonwebtoken');
   const token = jwt.sign(
     { 
@@ -145,10 +215,14 @@ userSchema.methods.generateAuthToken = function() {
       email: this.email,
       role: this.role,
       name: this.name,
-      department: this.department
+      department: this.department,
+      sid: sessionId ? String(sessionId) : undefined, // Session checked by authMiddleware
+      mfa: options.mfa ? true : undefined,
+      pwc: options.passwordChangeRequired ? true : undefined, // Only change-password is allowed
+      impersonatedBy: options.impersonatedBy || undefined // Admin acting as this user
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: options.expiresIn || process.env.ACCESS_TOKEN_EXPIRE || '15m' }
   );
   return token;
 };
@@ -163,6 +237,17 @@ userSchema.methods.isManagerOrAbove = function() {
   return ['admin', 'manager'].includes(this.role);
 };
 
+// Instance method to list the permissions granted by the user's role
+userSchema.methods.getPermissions = function() {
+  return Role.getPermissions(this.role);
+};
+
+// Instance method to check a single permission
+userSchema.methods.hasPermission = async function(permission) {
+  const permissions = await this.getPermissions();
+  return permissions.includes(permission);
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = async function() {
   // Use updateOne with runValidators:false to avoid full document validation
@@ -173,17 +258,85 @@ userSchema.methods.updateLastLogin = async function() {
   );
 };
 
+// Instance method to issue a single-use password reset token
+// Only the SHA-256 hash is stored; the raw token is returned for the email link
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = generateToken();
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to issue a passwordless sign-in token (hash stored, raw returned)
+userSchema.methods.createMagicLinkToken = function(expiresInMinutes) {
+  const token = generateToken();
+  this.magicLinkToken = this.constructor.hashToken(token);
+  this.magicLinkExpire = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to issue an email verification token (hash stored, raw returned)
+userSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const token = generateToken();
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
 // Remove sensitive data when converting to JSON
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordHistory;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpire;
   delete user.emailVerificationToken;
+  delete user.emailVerificationExpire;
+  delete user.magicLinkToken;
+  delete user.magicLinkExpire;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   delete user.__v;
   return user;
 };
 
+// Static method to hash a raw token for storage/lookup
+userSchema.statics.hashToken = function(token) {
+  return hashToken(token);
+};
+
+// Static method to find a user by a valid (unexpired) password reset token
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: this.hashToken(token),
+    resetPasswordExpire: { $gt: new Date() }
+  });
+};
+
+// Static method to redeem a valid sign-in link; the token is cleared atomically so it works once
+userSchema.statics.consumeMagicLinkToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      magicLinkToken: this.hashToken(token),
+      magicLinkExpire: { $gt: new Date() }
+    },
+    { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to find a user by a valid (unexpired) email verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: this.hashToken(token),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ status: 'active' });
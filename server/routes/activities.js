@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
-const { authMiddleware } = require('../middleware/auth');
+const { allowApiKey, requirePermission } = require('../middleware/auth');
 const {
   listActivities,
   getClientActivities,
   createActivity,
   getActivityStats
 } = require('../controllers/activityController');
+const { cursorCheck } = require('../utils/cursorPagination');
 
 // Validation rules
 const createActivityValidation = [
@@ -15,6 +16,10 @@ const createActivityValidation = [
     .notEmpty()
     .isMongoId()
     .withMessage('Valid client ID is required'),
+  body('contactId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
   body('type')
     .notEmpty()
     .isIn(['created', 'status_changed', 'note_added', 'email_sent', 'call_made', 'meeting_scheduled'])
@@ -52,13 +57,17 @@ const listActivitiesValidation = [
     .optional()
     .isMongoId()
     .withMessage('Invalid client ID'),
+  query('contactId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
   query('userId')
     .optional()
     .isEmail()
     .withMessage('User ID must be a valid email'),
   query('type')
     .optional()
-    .isIn(['created', 'status_changed', 'note_added', 'email_sent', 'call_made', 'meeting_scheduled'])
+    .isIn(['created', 'status_changed', 'note_added', 'email_sent', 'call_made', 'meeting_scheduled', 'merged'])
     .withMessage('Invalid activity type'),
   query('startDate')
     .optional()
@@ -67,7 +76,18 @@ const listActivitiesValidation = [
   query('endDate')
     .optional()
     .isISO8601()
-    .withMessage('End date must be a valid ISO 8601 date')
+    .withMessage('End date must be a valid ISO 8601 date'),
+  query('paginate')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Paginate must be page or cursor'),
+  query('cursor')
+    .optional()
+    .custom(cursorCheck(['createdAt', 'type'])),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false')
 ];
 
 const clientActivitiesValidation = [
@@ -84,8 +104,12 @@ const clientActivitiesValidation = [
     .withMessage('Page size must be between 1 and 100'),
   query('type')
     .optional()
-    .isIn(['created', 'status_changed', 'note_added', 'email_sent', 'call_made', 'meeting_scheduled'])
-    .withMessage('Invalid activity type')
+    .isIn(['created', 'status_changed', 'note_added', 'email_sent', 'call_made', 'meeting_scheduled', 'merged'])
+    .withMessage('Invalid activity type'),
+  query('contactId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID')
 ];
 
 const activityStatsValidation = [
@@ -104,11 +128,13 @@ const activityStatsValidation = [
 ];
 
 // Routes - All routes require authentication
+// Routes using allowApiKey() also accept an API key with the listed scope
 
 // GET /api/activities - List all activities with filtering
 router.get(
   '/',
-  authMiddleware,
+  allowApiKey('activities:read'),
+  requirePermission('activities.read'),
   listActivitiesValidation,
   listActivities
 );
@@ -116,7 +142,8 @@ router.get(
 // GET /api/activities/stats - Get activity statistics
 router.get(
   '/stats',
-  authMiddleware,
+  allowApiKey('activities:read'),
+  requirePermission('activities.read'),
   activityStatsValidation,
   getActivityStats
 );
@@ -124,7 +151,8 @@ router.get(
 // GET /api/activities/client/:clientId - Get activities for a specific client
 router.get(
   '/client/:clientId',
-  authMiddleware,
+  allowApiKey('activities:read'),
+  requirePermission('activities.read'),
   clientActivitiesValidation,
   getClientActivities
 );
@@ -132,7 +160,8 @@ router.get(
 // POST /api/activities - Create new activity
 router.post(
   '/',
-  authMiddleware,
+  allowApiKey('activities:write'),
+  requirePermission('activities.create'),
   createActivityValidation,
   createActivity
 );
@@ -1,33 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { authMiddleware } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { authMiddleware, authenticate, forbidImpersonation } = require('../middleware/auth');
+const { passwordPolicyCheck } = require('../utils/passwordPolicy');
 const {
   register,
   login,
   getCurrentUser,
-  logout
+  changePassword,
+  endImpersonation,
+  logout,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getInvitation,
+  acceptInvitation,
+  listMySessions,
+  revokeMySession,
+  revokeOtherSessions
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  requestMagicLink,
+  verifyMagicLink
+} = require('../controllers/magicLinkController');
+const {
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin
+} = require('../controllers/oidcController');
+const {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Users whose role requires 2FA may still reach these before enrolling
+const authenticatePendingTwoFactor = authenticate({ allowPendingTwoFactor: true });
+
+// Users whose password expired may still reach these to change it
+const authenticatePendingPasswordChange = authenticate({ allowPendingTwoFactor: true, allowPendingPasswordChange: true });
 
 // Validation rules
+// Strength rules come from the configurable password policy (PUT /api/settings/password-policy)
+const passwordValidation = (field = 'password') =>
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom(passwordPolicyCheck);
+
 const registerValidation = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordValidation(),
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Name must be between 2 and 100 characters'),
-  body('role')
-    .optional()
-    .isIn(['admin', 'manager', 'employee'])
-    .withMessage('Role must be admin, manager, or employee'),
   body('department')
     .optional()
     .trim()
@@ -53,17 +93,263 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordValidation()
+];
+
+const requestMagicLinkValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const verifyMagicLinkValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid sign-in link')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordValidation('newPassword')
+];
+
+const verifyEmailValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+];
+
+const resendVerificationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const invitationTokenValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token')
+];
+
+const acceptInvitationValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token'),
+  passwordValidation(),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('phone')
+    .optional()
+    .matches(/^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/)
+    .withMessage('Please provide a valid phone number')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const twoFactorCodeValidation = () =>
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits');
+
+// Either an authenticator code or a recovery code must be supplied
+const secondFactorValidation = [
+  twoFactorCodeValidation().optional(),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}$/)
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => !!(value.code || value.recoveryCode))
+    .withMessage('Provide an authenticator code or a recovery code')
+];
+
+const verifyTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn([
+      'clients:read',
+      'clients:write',
+      'clients:import',
+      'clients:export',
+      'activities:read',
+      'activities:write',
+      'payments:read'
+    ])
+    .withMessage('Invalid API key scope'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+];
+
+const apiKeyIdValidation = [
+  param('keyId')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+const startOidcLoginValidation = [
+  query('redirectTo')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Redirect path cannot exceed 500 characters')
+];
+
+const completeOidcLoginValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
 // Routes
-// POST /api/auth/register - Register new user
+// POST /api/auth/register - Bootstrap the first admin (or open registration if enabled)
 router.post('/register', registerValidation, register);
 
 // POST /api/auth/login - Login user
 router.post('/login', loginValidation, login);
 
+// GET /api/auth/oidc/config - Login options (SSO provider, whether password login is on)
+router.get('/oidc/config', getOidcConfig);
+
+// GET /api/auth/oidc/authorize - Start single sign-on; returns the identity provider URL
+router.get('/oidc/authorize', startOidcLoginValidation, startOidcLogin);
+
+// POST /api/auth/oidc/callback - Exchange the provider's code and state for session tokens
+router.post('/oidc/callback', completeOidcLoginValidation, completeOidcLogin);
+
+// POST /api/auth/refresh - Rotate refresh token and issue a new access token
+router.post('/refresh', refreshTokenValidation, refreshToken);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+
+// POST /api/auth/magic-link - Email a one-time sign-in link (when enabled)
+router.post('/magic-link', requestMagicLinkValidation, requestMagicLink);
+
+// POST /api/auth/magic-link/verify - Sign in with a link token
+router.post('/magic-link/verify', verifyMagicLinkValidation, verifyMagicLink);
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
+// GET /api/auth/verify-email/:token - Confirm email address
+router.get('/verify-email/:token', verifyEmailValidation, verifyEmail);
+
+// POST /api/auth/resend-verification - Email a new verification link
+router.post('/resend-verification', resendVerificationValidation, resendVerification);
+
+// GET /api/auth/invitations/:token - Look up a pending invitation
+router.get('/invitations/:token', invitationTokenValidation, getInvitation);
+
+// POST /api/auth/accept-invite - Accept an invitation and set a password
+router.post('/accept-invite', acceptInvitationValidation, acceptInvitation);
+
 // GET /api/auth/me - Get current user (protected)
-router.get('/me', authMiddleware, getCurrentUser);
+router.get('/me', authenticatePendingPasswordChange, getCurrentUser);
+
+// POST /api/auth/change-password - Change my password (protected)
+router.post('/change-password', authenticatePendingPasswordChange, forbidImpersonation, changePasswordValidation, changePassword);
+
+// POST /api/auth/impersonation/end - Stop impersonating and revoke the impersonation token
+router.post('/impersonation/end', authMiddleware, endImpersonation);
+
+// POST /api/auth/logout - Logout user and revoke the session (protected)
+router.post('/logout', authenticatePendingPasswordChange, logout);
+
+// Credentials, sessions and API keys can't be changed by an impersonating admin
+// GET /api/auth/sessions - List my active sessions (protected)
+router.get('/sessions', authMiddleware, listMySessions);
+
+// POST /api/auth/sessions/revoke-others - Sign out all my other sessions (protected)
+router.post('/sessions/revoke-others', authMiddleware, forbidImpersonation, revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Revoke one of my sessions (protected)
+router.delete('/sessions/:sessionId', authMiddleware, forbidImpersonation, sessionIdValidation, revokeMySession);
+
+// POST /api/auth/2fa/verify - Complete a two-factor login with a code or recovery code
+router.post('/2fa/verify', verifyTwoFactorValidation, verifyTwoFactorLogin);
+
+// POST /api/auth/2fa/setup - Generate a TOTP secret and QR code (protected)
+router.post('/2fa/setup', authenticatePendingTwoFactor, forbidImpersonation, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm enrollment and receive recovery codes (protected)
+router.post('/2fa/enable', authenticatePendingTwoFactor, forbidImpersonation, [twoFactorCodeValidation()], enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication (protected)
+router.post('/2fa/disable', authMiddleware, forbidImpersonation, disableTwoFactorValidation, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (protected)
+router.post('/2fa/recovery-codes', authMiddleware, forbidImpersonation, [twoFactorCodeValidation()], regenerateRecoveryCodes);
+
+// GET /api/auth/api-keys - List my API keys (protected)
+router.get('/api-keys', authMiddleware, listApiKeys);
+
+// POST /api/auth/api-keys - Create a scoped API key (protected)
+router.post('/api-keys', authMiddleware, forbidImpersonation, createApiKeyValidation, createApiKey);
 
-// POST /api/auth/logout - Logout user (protected)
-router.post('/logout', authMiddleware, logout);
+// DELETE /api/auth/api-keys/:keyId - Revoke an API key (protected)
+router.delete('/api-keys/:keyId', authMiddleware, forbidImpersonation, apiKeyIdValidation, revokeApiKey);
 
 module.exports = router;
\ No newline at end of file
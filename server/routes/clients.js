@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
 const multer = require('multer');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, allowApiKey, requirePermission } = require('../middleware/auth');
 const {
   listClients,
   getClient,
+  getClientHierarchy,
   createClient,
   updateClient,
   deleteClient,
@@ -15,11 +16,42 @@ const {
   getClientPipeline,
   getClientSummary,
   bulkAssignOwner,
+  bulkTagClients,
+  bulkUntagClients,
   bulkMoveStatus,
   importClients,
   importClientsBatch,
-  exportClients
+  exportClients,
+  getClientFilterFields,
+  findDuplicateClients,
+  mergeClients
 } = require('../controllers/clientController');
+const {
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView,
+  clearDefaultView
+} = require('../controllers/savedViewController');
+const {
+  listContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact
+} = require('../controllers/contactController');
+const {
+  listTrash,
+  restoreClient,
+  purgeClient,
+  emptyTrash
+} = require('../controllers/trashController');
+const { CONTACT_ROLES } = require('../utils/contacts');
+const { ADDRESS_TYPES } = require('../utils/addresses');
+const { clientFilterCheck } = require('../utils/clientFilter');
+const { cursorCheck } = require('../utils/cursorPagination');
 
 // Configure multer for CSV file uploads (use memory storage to avoid filesystem dependency)
 const upload = multer({
@@ -72,6 +104,13 @@ const createClientValidation = [
     .optional()
     .isEmail()
     .withMessage('Owner must be a valid email address'),
+  body('sharedWith')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Shared with must be an array of up to 50 user emails'),
+  body('sharedWith.*')
+    .isEmail()
+    .withMessage('Shared with entries must be valid email addresses'),
   body('contactStatus')
     .optional()
     .isIn(['Sampling', 'New Prospect', 'Uncategorized', 'Closed lost', 'Initial Contact', 'Closed won', 'Committed', 'Consideration'])
@@ -96,7 +135,65 @@ const createClientValidation = [
   body('forecastedAmount')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Forecasted amount must be a positive number')
+    .withMessage('Forecasted amount must be a positive number'),
+  // Values are checked against the custom field definitions in the controller
+  body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('Custom fields must be an object'),
+  // Tag keys are checked against the catalog in the controller
+  body('tags')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Tags must be an array of up to 50 tag keys'),
+  body('tags.*')
+    .isString()
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]{0,49}$/)
+    .withMessage('Each tag must be a tag key'),
+  // Cycles are checked in the controller; null makes the client a top-level account
+  body('parentClientId')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Parent client ID must be a client ID'),
+  // The whole list is replaced; see utils/addresses.js for defaults
+  body('addresses')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Addresses must be an array of up to 20 addresses'),
+  body('addresses.*.type')
+    .isIn(ADDRESS_TYPES)
+    .withMessage(`Address type must be one of: ${ADDRESS_TYPES.join(', ')}`),
+  body('addresses.*.label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Address label cannot exceed 100 characters'),
+  body(['addresses.*.line1', 'addresses.*.line2'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address lines cannot exceed 200 characters'),
+  body(['addresses.*.city', 'addresses.*.state'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City and state cannot exceed 100 characters'),
+  body('addresses.*.postalCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postal code cannot exceed 20 characters'),
+  body('addresses.*.country')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isISO31661Alpha2()
+    .withMessage('Country must be a two-letter ISO country code'),
+  body('addresses.*.isDefault')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('isDefault must be true or false')
 ];
 
 const updateClientValidation = [
@@ -133,6 +230,89 @@ const addNoteValidation = [
     .withMessage('Note cannot exceed 500 characters')
 ];
 
+// Structured JSON filter accepted by list, pipeline, summary and export
+const clientFilterValidation = [
+  query('filter')
+    .optional()
+    .custom(clientFilterCheck)
+];
+
+// Tag filter accepted by list, pipeline and export (any tag, or every tag with tagMatch=all)
+const tagFilterValidation = [
+  query('tags')
+    .optional()
+    .custom(value => [].concat(value).flatMap(v => String(v).split(','))
+      .every(key => /^[a-zA-Z0-9][a-zA-Z0-9-]{0,49}$/.test(key.trim())))
+    .withMessage('Tags must be a comma-separated list of tag keys'),
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag match must be any or all')
+];
+
+// Saved view applied to list and export ('default' = the user's default view)
+const viewIdQueryValidation = [
+  query('viewId')
+    .optional()
+    .custom(value => value === 'default' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('View ID must be a saved view ID or "default"')
+];
+
+const savedViewValidation = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('View name must be between 1 and 100 characters')
+    : body('name').trim().isLength({ min: 1, max: 100 }).withMessage('View name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'team', 'global'])
+    .withMessage('Visibility must be private, team or global'),
+  body('filter')
+    .optional({ values: 'null' })
+    .custom(clientFilterCheck),
+  body('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters'),
+  body('sortBy')
+    .optional()
+    .isIn(['relevance', 'createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'])
+    .withMessage('Invalid sort field'),
+  body('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  body('columns')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Columns must be an array of up to 50 field names'),
+  body('columns.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Column names must be between 1 and 50 characters'),
+  body('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+    .toInt(),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be true or false')
+    .toBoolean()
+];
+
+const viewIdValidation = [
+  param('viewId')
+    .isMongoId()
+    .withMessage('Invalid view ID')
+];
+
 const listClientsValidation = [
   query('page')
     .optional()
@@ -144,8 +324,13 @@ const listClientsValidation = [
     .withMessage('Page size must be between 1 and 100'),
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'])
+    .isIn(['relevance', 'createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'])
     .withMessage('Invalid sort field'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters'),
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
@@ -157,7 +342,26 @@ const listClientsValidation = [
   query('ownedBy')
     .optional()
     .isEmail()
-    .withMessage('Owner filter must be a valid email')
+    .withMessage('Owner filter must be a valid email'),
+  query('underClientId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('underClientId must be a client ID'),
+  ...clientFilterValidation,
+  ...tagFilterValidation,
+  ...viewIdQueryValidation,
+  query('paginate')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Paginate must be page or cursor'),
+  query('cursor')
+    .optional()
+    .custom(cursorCheck(['createdAt', 'name', 'email', 'contactStatus', 'city', 'forecastedAmount'])),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false')
 ];
 
 const bulkAssignValidation = [
@@ -172,6 +376,22 @@ const bulkAssignValidation = [
     .withMessage('New owner must be a valid email address')
 ];
 
+const bulkTagValidation = [
+  body('clientIds')
+    .isArray({ min: 1 })
+    .withMessage('Client IDs must be a non-empty array'),
+  body('clientIds.*')
+    .isMongoId()
+    .withMessage('Each client ID must be a valid MongoDB ID'),
+  body('tags')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Tags must be an array of 1 to 50 tag keys'),
+  body('tags.*')
+    .isString()
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]{0,49}$/)
+    .withMessage('Each tag must be a tag key')
+];
+
 const bulkStatusValidation = [
   body('clientIds')
     .isArray({ min: 1 })
@@ -189,6 +409,40 @@ const bulkStatusValidation = [
     .withMessage('Notes cannot exceed 500 characters')
 ];
 
+const duplicatesValidation = [
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('clientId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid client ID')
+];
+
+const mergeClientsValidation = [
+  body('survivorId')
+    .isString()
+    .notEmpty()
+    .withMessage('Surviving client ID is required'),
+  body('mergeIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Merge IDs must be an array of 1 to 20 client IDs'),
+  body('mergeIds.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each merge ID must be a client ID'),
+  body('fields')
+    .optional()
+    .isObject()
+    .withMessage('Fields must map field names to source client IDs')
+];
+
 const clientIdValidation = [
   param('id')
     .isString()
@@ -196,12 +450,73 @@ const clientIdValidation = [
     .withMessage('Invalid client ID')
 ];
 
+const hierarchyValidation = [
+  query('includePayments')
+    .optional()
+    .isBoolean()
+    .withMessage('includePayments must be true or false')
+];
+
+const listTrashValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters')
+];
+
+const contactIdValidation = [
+  param('contactId')
+    .isMongoId()
+    .withMessage('Invalid contact ID')
+];
+
+const contactValidation = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Contact name must be between 1 and 200 characters')
+    : body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Contact name must be between 1 and 200 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Phone cannot exceed 50 characters'),
+  body('role')
+    .optional()
+    .isIn(CONTACT_ROLES)
+    .withMessage(`Role must be one of: ${CONTACT_ROLES.join(', ')}`),
+  body('isPrimary')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrimary must be true or false')
+    .toBoolean()
+];
+
 // Routes - All routes require authentication
+// Routes using allowApiKey() also accept an API key with the listed scope
 
 // GET /api/clients - List all clients with pagination, search, and filtering
 router.get(
   '/',
-  authMiddleware,
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
   listClientsValidation,
   listClients
 );
@@ -209,37 +524,133 @@ router.get(
 // GET /api/clients/pipeline - Get clients grouped by contact status
 router.get(
   '/pipeline',
-  authMiddleware,
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  clientFilterValidation,
+  tagFilterValidation,
   getClientPipeline
 );
 
 // GET /api/clients/summary - Get overall client summaries for footer/header
 router.get(
   '/summary',
-  authMiddleware,
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  clientFilterValidation,
   getClientSummary
 );
 
+// GET /api/clients/filter-fields - Fields and operators usable in the filter parameter
+router.get(
+  '/filter-fields',
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  getClientFilterFields
+);
+
 // GET /api/clients/export - Export clients to CSV
 router.get(
   '/export',
-  authMiddleware,
-  authorize('admin', 'manager'),
+  allowApiKey('clients:export'),
+  requirePermission('clients.export'),
+  clientFilterValidation,
+  tagFilterValidation,
+  viewIdQueryValidation,
   exportClients
 );
 
+// GET /api/clients/duplicates - Find likely duplicate clients
+router.get(
+  '/duplicates',
+  authMiddleware,
+  requirePermission('clients.merge'),
+  duplicatesValidation,
+  findDuplicateClients
+);
+
+// Saved views - named client list configurations (private, team or global)
+// GET /api/clients/views - List views visible to the user, with client counts
+router.get('/views', authMiddleware, requirePermission('clients.read'), listViews);
+
+// POST /api/clients/views - Create a view
+router.post('/views', authMiddleware, requirePermission('clients.read'), savedViewValidation(false), createView);
+
+// DELETE /api/clients/views/default - Clear the user's default view
+router.delete('/views/default', authMiddleware, requirePermission('clients.read'), clearDefaultView);
+
+// GET /api/clients/views/:viewId - Get a view with its client count
+router.get('/views/:viewId', authMiddleware, requirePermission('clients.read'), viewIdValidation, getView);
+
+// PUT /api/clients/views/:viewId - Update a view
+router.put('/views/:viewId', authMiddleware, requirePermission('clients.read'), viewIdValidation, savedViewValidation(true), updateView);
+
+// DELETE /api/clients/views/:viewId - Delete a view
+router.delete('/views/:viewId', authMiddleware, requirePermission('clients.read'), viewIdValidation, deleteView);
+
+// PUT /api/clients/views/:viewId/default - Make a view the user's default
+router.put('/views/:viewId/default', authMiddleware, requirePermission('clients.read'), viewIdValidation, setDefaultView);
+
+// Trash - deleted clients are kept until restored or purged
+// IMPORTANT: must be defined BEFORE '/:id' to avoid route collision
+// GET /api/clients/trash - List trashed clients with their purge dates
+router.get(
+  '/trash',
+  authMiddleware,
+  requirePermission('clients.delete'),
+  listTrashValidation,
+  listTrash
+);
+
+// POST /api/clients/trash/:id/restore - Restore a trashed client
+router.post(
+  '/trash/:id/restore',
+  authMiddleware,
+  requirePermission('clients.delete'),
+  clientIdValidation,
+  restoreClient
+);
+
+// DELETE /api/clients/trash/:id - Permanently delete a trashed client
+router.delete(
+  '/trash/:id',
+  authMiddleware,
+  requirePermission('clients.purge'),
+  clientIdValidation,
+  purgeClient
+);
+
+// DELETE /api/clients/trash?confirm=true - Permanently delete all trashed clients
+router.delete(
+  '/trash',
+  authMiddleware,
+  requirePermission('clients.purge'),
+  emptyTrash
+);
+
 // GET /api/clients/:id - Get single client
 router.get(
   '/:id',
-  authMiddleware,
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
   clientIdValidation,
   getClient
 );
 
+// GET /api/clients/:id/hierarchy - Get the account tree the client belongs to, with rollups
+router.get(
+  '/:id/hierarchy',
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  clientIdValidation,
+  hierarchyValidation,
+  getClientHierarchy
+);
+
 // POST /api/clients - Create new client
 router.post(
   '/',
-  authMiddleware,
+  allowApiKey('clients:write'),
+  requirePermission('clients.create'),
   createClientValidation,
   createClient
 );
@@ -247,8 +658,8 @@ router.post(
 // POST /api/clients/import - Import clients from CSV
 router.post(
   '/import',
-  authMiddleware,
-  authorize('admin', 'manager'),
+  allowApiKey('clients:import'),
+  requirePermission('clients.import'),
   logImportRoute,
   upload.single('file'),
   importClients
@@ -257,25 +668,52 @@ router.post(
 // POST /api/clients/import/batch - High-throughput JSON batch import
 router.post(
   '/import/batch',
-  authMiddleware,
-  authorize('admin', 'manager'),
+  allowApiKey('clients:import'),
+  requirePermission('clients.import'),
   importClientsBatch
 );
 
 // POST /api/clients/bulk-assign - Bulk assign owner
 router.post(
   '/bulk-assign',
-  authMiddleware,
-  authorize('admin', 'manager'),
+  allowApiKey('clients:write'),
+  requirePermission('clients.bulkUpdate'),
   bulkAssignValidation,
   bulkAssignOwner
 );
 
+// POST /api/clients/bulk-tag - Bulk add tags
+router.post(
+  '/bulk-tag',
+  allowApiKey('clients:write'),
+  requirePermission('clients.bulkUpdate'),
+  bulkTagValidation,
+  bulkTagClients
+);
+
+// POST /api/clients/bulk-untag - Bulk remove tags
+router.post(
+  '/bulk-untag',
+  allowApiKey('clients:write'),
+  requirePermission('clients.bulkUpdate'),
+  bulkTagValidation,
+  bulkUntagClients
+);
+
+// POST /api/clients/merge - Merge duplicates into a surviving client
+router.post(
+  '/merge',
+  authMiddleware,
+  requirePermission('clients.merge'),
+  mergeClientsValidation,
+  mergeClients
+);
+
 // POST /api/clients/bulk-status - Bulk move status
 router.post(
   '/bulk-status',
-  authMiddleware,
-  authorize('admin', 'manager'),
+  allowApiKey('clients:write'),
+  requirePermission('clients.bulkUpdate'),
   bulkStatusValidation,
   bulkMoveStatus
 );
@@ -283,7 +721,8 @@ router.post(
 // PUT /api/clients/:id - Update client
 router.put(
   '/:id',
-  authMiddleware,
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
   clientIdValidation,
   updateClientValidation,
   updateClient
@@ -292,7 +731,8 @@ router.put(
 // PUT /api/clients/:id/status - Update client contact status
 router.put(
   '/:id/status',
-  authMiddleware,
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
   clientIdValidation,
   updateStatusValidation,
   updateClientStatus
@@ -301,26 +741,78 @@ router.put(
 // POST /api/clients/:id/notes - Add note to client
 router.post(
   '/:id/notes',
-  authMiddleware,
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
   clientIdValidation,
   addNoteValidation,
   addClientNote
 );
 
-// DELETE /api/clients/all - Delete ALL clients (Dangerous)
+// Contacts - people at the client (buyers, owners, accounts payable, ...)
+// GET /api/clients/:id/contacts - List a client's contacts
+router.get(
+  '/:id/contacts',
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  clientIdValidation,
+  listContacts
+);
+
+// GET /api/clients/:id/contacts/:contactId - Get a contact
+router.get(
+  '/:id/contacts/:contactId',
+  allowApiKey('clients:read'),
+  requirePermission('clients.read'),
+  clientIdValidation,
+  contactIdValidation,
+  getContact
+);
+
+// POST /api/clients/:id/contacts - Add a contact
+router.post(
+  '/:id/contacts',
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
+  clientIdValidation,
+  contactValidation(false),
+  createContact
+);
+
+// PUT /api/clients/:id/contacts/:contactId - Update a contact
+router.put(
+  '/:id/contacts/:contactId',
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
+  clientIdValidation,
+  contactIdValidation,
+  contactValidation(true),
+  updateContact
+);
+
+// DELETE /api/clients/:id/contacts/:contactId - Delete a contact
+router.delete(
+  '/:id/contacts/:contactId',
+  allowApiKey('clients:write'),
+  requirePermission('clients.update'),
+  clientIdValidation,
+  contactIdValidation,
+  deleteContact
+);
+
+// DELETE /api/clients/all - Move ALL clients to the trash (Dangerous)
 // IMPORTANT: must be defined BEFORE '/:id' to avoid route collision
 router.delete(
   '/all',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('clients.deleteAll'),
   deleteAllClients
 );
 
-// DELETE /api/clients/:id - Delete client
+// DELETE /api/clients/:id - Move client to the trash
 router.delete(
   '/:id',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('clients.delete'),
   clientIdValidation,
   deleteClient
 );
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { CUSTOM_FIELD_TYPES, MAX_OPTIONS } = require('../utils/customFields');
+const {
+  listCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+
+// Validation rules
+const fieldValidation = (isUpdate) => [
+  isUpdate
+    ? body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters')
+    : body('label').trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters'),
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be true or false')
+    .toBoolean(),
+  body('options')
+    .optional()
+    .isArray({ max: MAX_OPTIONS })
+    .withMessage(`Options must be an array of up to ${MAX_OPTIONS} values`),
+  body('options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Options must be between 1 and 100 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+];
+
+const createFieldValidation = [
+  body('key')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{1,49}$/)
+    .withMessage('Key must be 2-50 letters, digits or underscores, starting with a letter'),
+  body('type')
+    .isIn(CUSTOM_FIELD_TYPES)
+    .withMessage(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`),
+  ...fieldValidation(false)
+];
+
+const updateFieldValidation = [
+  body('type')
+    .optional()
+    .isIn(CUSTOM_FIELD_TYPES)
+    .withMessage(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`),
+  ...fieldValidation(true)
+];
+
+const keyValidation = [
+  param('key')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{1,49}$/)
+    .withMessage('Invalid custom field key')
+];
+
+// Routes - All routes require authentication
+
+// GET /api/custom-fields - List custom client fields (for forms, filters and imports)
+router.get('/', authMiddleware, requirePermission('clients.read'), listCustomFields);
+
+// POST /api/custom-fields - Define a custom client field
+router.post('/', authMiddleware, requirePermission('clients.customFields'), createFieldValidation, createCustomField);
+
+// PUT /api/custom-fields/:key - Update a custom field (key and type are fixed)
+router.put('/:key', authMiddleware, requirePermission('clients.customFields'), keyValidation, updateFieldValidation, updateCustomField);
+
+// DELETE /api/custom-fields/:key - Delete a custom field and clear its values
+router.delete('/:key', authMiddleware, requirePermission('clients.customFields'), keyValidation, deleteCustomField);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const { authMiddleware, allowApiKey, requirePermission } = require('../middleware/auth');
 const {
   // New methods
   addPaymentMethod,
@@ -196,12 +196,13 @@ const requirePaymentIdentifier = (req, res, next) => {
 };
 
 // ===== NEW PAYMENT VAULT ROUTES =====
+// Routes using allowApiKey() also accept an API key with the listed scope
 
 // POST /api/payments/methods - Add a payment method to a client
 router.post(
   '/methods',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.methods'),
   addPaymentMethodValidation,
   addPaymentMethod
 );
@@ -209,7 +210,8 @@ router.post(
 // GET /api/payments/clients/:clientId/methods - List payment methods for a client
 router.get(
   '/clients/:clientId/methods',
-  authMiddleware,
+  allowApiKey('payments:read'),
+  requirePermission('payments.read'),
   listPaymentMethodsValidation,
   listPaymentMethods
 );
@@ -218,7 +220,7 @@ router.get(
 router.put(
   '/clients/:clientId/methods/:paymentMethodId/default',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.methods'),
   setDefaultPaymentMethodValidation,
   setDefaultPaymentMethod
 );
@@ -227,7 +229,7 @@ router.put(
 router.delete(
   '/clients/:clientId/methods/:paymentMethodId',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.methods'),
   removePaymentMethodValidation,
   removePaymentMethod
 );
@@ -236,7 +238,7 @@ router.delete(
 router.post(
   '/intent',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.charge'),
   createPaymentIntentValidation,
   createPaymentIntent
 );
@@ -245,7 +247,7 @@ router.post(
 router.post(
   '/intent/confirm',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.charge'),
   confirmPaymentIntentValidation,
   confirmPaymentIntent
 );
@@ -253,7 +255,8 @@ router.post(
 // GET /api/payments/clients/:clientId/history - Get payment history
 router.get(
   '/clients/:clientId/history',
-  authMiddleware,
+  allowApiKey('payments:read'),
+  requirePermission('payments.read'),
   getPaymentHistoryValidation,
   getPaymentHistory
 );
@@ -262,6 +265,7 @@ router.get(
 router.post(
   '/setup-intent',
   authMiddleware,
+  requirePermission('payments.setup'),
   createSetupIntentValidation,
   createSetupIntent
 );
@@ -272,6 +276,7 @@ router.post(
 router.post(
   '/tokenize',
   authMiddleware,
+  requirePermission('payments.setup'),
   tokenizePaymentValidation,
   tokenizePaymentMethod
 );
@@ -280,7 +285,7 @@ router.post(
 router.put(
   '/clients/:id/payment-method',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.methods'),
   updatePaymentMethodValidation,
   requirePaymentIdentifier,
   updateClientPaymentMethod
@@ -290,7 +295,7 @@ router.put(
 router.delete(
   '/clients/:id/payment-method',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('payments.methods'),
   clientIdValidation,
   removeClientPaymentMethod
 );
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+const {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+// Validation rules
+const permissionsValidation = () => [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const createRoleValidation = [
+  body('key')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{1,49}$/)
+    .withMessage('Key must be 2-50 letters, digits, dashes or underscores'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  ...permissionsValidation()
+];
+
+const updateRoleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  ...permissionsValidation()
+];
+
+const roleIdValidation = [
+  param('roleId')
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Invalid role key')
+];
+
+// Routes - All routes require authentication
+
+// GET /api/roles - List roles
+router.get('/', authMiddleware, listRoles);
+
+// GET /api/roles/permissions - List grantable permissions
+router.get('/permissions', authMiddleware, listPermissions);
+
+// POST /api/roles - Create a role
+router.post('/', authMiddleware, requirePermission('roles.manage'), createRoleValidation, createRole);
+
+// PUT /api/roles/:roleId - Update a role
+router.put('/:roleId', authMiddleware, requirePermission('roles.manage'), roleIdValidation, updateRoleValidation, updateRole);
+
+// DELETE /api/roles/:roleId - Delete an unused custom role
+router.delete('/:roleId', authMiddleware, requirePermission('roles.manage'), roleIdValidation, deleteRole);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const Role = require('../models/Role');
+const {
+  getSecuritySettings,
+  updateSecuritySettings,
+  getPasswordPolicySettings,
+  updatePasswordPolicySettings,
+  getTrashSettings,
+  updateTrashSettings
+} = require('../controllers/settingsController');
+
+// Validation rules
+const updateSecurityValidation = [
+  body('twoFactorRequiredRoles')
+    .optional()
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .custom(async (value) => {
+      if (!(await Role.findCached(value))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+  body('passwordLoginEnabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('passwordLoginEnabled must be true or false'),
+  body('magicLinkEnabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('magicLinkEnabled must be true or false')
+];
+
+const updatePasswordPolicyValidation = [
+  body('minLength')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('minLength must be between 6 and 128')
+    .toInt(),
+  body(['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'blockCommonPasswords'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Must be true or false'),
+  body('historySize')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('historySize must be between 0 and 24')
+    .toInt(),
+  body('maxAgeDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('maxAgeDays must be between 0 and 3650 (0 disables expiry)')
+    .toInt()
+];
+
+const updateTrashValidation = [
+  body('retentionDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('retentionDays must be between 0 and 3650 (0 keeps clients until purged)')
+    .toInt()
+];
+
+// Routes - All routes require the settings.manage permission
+// GET /api/settings/security - Get security settings
+router.get('/security', authMiddleware, requirePermission('settings.manage'), getSecuritySettings);
+
+// PUT /api/settings/security - Update security settings
+router.put('/security', authMiddleware, requirePermission('settings.manage'), updateSecurityValidation, updateSecuritySettings);
+
+// GET /api/settings/password-policy - Get the password policy
+router.get('/password-policy', authMiddleware, requirePermission('settings.manage'), getPasswordPolicySettings);
+
+// PUT /api/settings/password-policy - Update the password policy
+router.put('/password-policy', authMiddleware, requirePermission('settings.manage'), updatePasswordPolicyValidation, updatePasswordPolicySettings);
+
+// GET /api/settings/trash - Get the client trash settings
+router.get('/trash', authMiddleware, requirePermission('settings.manage'), getTrashSettings);
+
+// PUT /api/settings/trash - Update the client trash settings
+router.put('/trash', authMiddleware, requirePermission('settings.manage'), updateTrashValidation, updateTrashSettings);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tagController');
+
+// Validation rules
+const tagValidation = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Tag name must be between 1 and 50 characters')
+    : body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Tag name must be between 1 and 50 characters'),
+  body('color')
+    .optional()
+    .trim()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1f8a70'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+const tagIdValidation = [
+  param('tagId')
+    .matches(/^[a-z0-9][a-z0-9-]{0,49}$/)
+    .withMessage('Invalid tag key')
+];
+
+// Routes - All routes require authentication
+
+// GET /api/tags - List the tag catalog with client counts
+router.get('/', authMiddleware, requirePermission('clients.read'), listTags);
+
+// POST /api/tags - Add a tag (its key is derived from the name)
+router.post('/', authMiddleware, requirePermission('clients.manageTags'), tagValidation(false), createTag);
+
+// PUT /api/tags/:tagId - Rename, recolor or describe a tag
+router.put('/:tagId', authMiddleware, requirePermission('clients.manageTags'), tagIdValidation, tagValidation(true), updateTag);
+
+// DELETE /api/tags/:tagId - Delete a tag and remove it from clients
+router.delete('/:tagId', authMiddleware, requirePermission('clients.manageTags'), tagIdValidation, deleteTag);
+
+module.exports = router;
@@ -2,15 +2,31 @@ const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
 const multer = require('multer');
-const { authMiddleware, authorize } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { authMiddleware, forbidImpersonation, requirePermission } = require('../middleware/auth');
 const {
   listUsers,
   getUser,
   updateUser,
   deleteUser,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  resetUserTwoFactor,
+  impersonateUser,
+  getUserLockout,
+  unlockUser,
+  listAuthEvents,
   importUsers,
   exportUsers
 } = require('../controllers/userController');
+const {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const { cursorCheck } = require('../utils/cursorPagination');
 
 // Configure multer for CSV file uploads
 const upload = multer({
@@ -27,6 +43,14 @@ const upload = multer({
   }
 });
 
+// Roles are editable, so validate against the Role collection instead of a fixed list
+const roleExists = async (value) => {
+  if (!(await Role.findCached(value))) {
+    throw new Error('Role does not exist');
+  }
+  return true;
+};
+
 // Validation rules
 const updateUserValidation = [
   body('name')
@@ -36,8 +60,8 @@ const updateUserValidation = [
     .withMessage('Name must be between 2 and 100 characters'),
   body('role')
     .optional()
-    .isIn(['admin', 'manager', 'employee'])
-    .withMessage('Role must be admin, manager, or employee'),
+    .custom(roleExists)
+    .withMessage('Role does not exist'),
   body('department')
     .optional()
     .trim()
@@ -54,7 +78,11 @@ const updateUserValidation = [
   body('status')
     .optional()
     .isIn(['active', 'inactive'])
-    .withMessage('Status must be active or inactive')
+    .withMessage('Status must be active or inactive'),
+  body('emailVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('emailVerified must be a boolean')
 ];
 
 const listUsersValidation = [
@@ -76,12 +104,23 @@ const listUsersValidation = [
     .withMessage('Sort order must be asc or desc'),
   query('role')
     .optional()
-    .isIn(['admin', 'manager', 'employee'])
+    .custom(roleExists)
     .withMessage('Invalid role filter'),
   query('status')
     .optional()
     .isIn(['active', 'inactive'])
-    .withMessage('Invalid status filter')
+    .withMessage('Invalid status filter'),
+  query('paginate')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Paginate must be page or cursor'),
+  query('cursor')
+    .optional()
+    .custom(cursorCheck(['createdAt', 'name', 'email', 'role', 'department', 'status'])),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false')
 ];
 
 const userIdValidation = [
@@ -90,23 +129,171 @@ const userIdValidation = [
     .withMessage('User ID must be a valid email address')
 ];
 
+const createInvitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .custom(roleExists)
+    .withMessage('Role does not exist'),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Department cannot exceed 100 characters')
+];
+
+const listInvitationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked'])
+    .withMessage('Invalid invitation status filter'),
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email filter must be a valid email')
+];
+
+const invitationIdValidation = [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const unlockUserValidation = [
+  body('ip')
+    .optional()
+    .isIP()
+    .withMessage('IP must be a valid IP address')
+];
+
+const impersonateUserValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const listAuthEventsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('pageSize')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Page size must be between 1 and 200'),
+  query('type')
+    .optional()
+    .isIn([
+      'login_success',
+      'login_failed',
+      'login_blocked',
+      'two_factor_failed',
+      'account_locked',
+      'ip_locked',
+      'account_unlocked',
+      'ip_unlocked',
+      'impersonation_started',
+      'impersonation_ended',
+      'impersonated_action'
+    ])
+    .withMessage('Invalid event type filter'),
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email filter must be a valid email'),
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('IP filter must be a valid IP address'),
+  query('performedBy')
+    .optional()
+    .isEmail()
+    .withMessage('Performed by filter must be a valid email'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
 // Routes - All routes require authentication
-// Admin-only routes are marked with authorize('admin')
+// Each route checks a permission (see utils/permissions.js) rather than a role name
 
 // GET /api/users - List all users with pagination and filtering
 router.get(
   '/',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('users.read'),
   listUsersValidation,
   listUsers
 );
 
+// Static routes must be defined BEFORE '/:id' to avoid route collision
+
+// GET /api/users/auth-events - Authentication audit trail (admin only)
+router.get(
+  '/auth-events',
+  authMiddleware,
+  requirePermission('users.security'),
+  listAuthEventsValidation,
+  listAuthEvents
+);
+
+
+// POST /api/users/invitations - Invite a new user (admin, or manager for employees)
+router.post(
+  '/invitations',
+  authMiddleware,
+  requirePermission('users.invite'),
+  createInvitationValidation,
+  createInvitation
+);
+
+// GET /api/users/invitations - List invitations
+router.get(
+  '/invitations',
+  authMiddleware,
+  requirePermission('users.invite'),
+  listInvitationsValidation,
+  listInvitations
+);
+
+// POST /api/users/invitations/:invitationId/resend - Resend a pending invitation
+router.post(
+  '/invitations/:invitationId/resend',
+  authMiddleware,
+  requirePermission('users.invite'),
+  invitationIdValidation,
+  resendInvitation
+);
+
+// DELETE /api/users/invitations/:invitationId - Revoke a pending invitation
+router.delete(
+  '/invitations/:invitationId',
+  authMiddleware,
+  requirePermission('users.invite'),
+  invitationIdValidation,
+  revokeInvitation
+);
+
 // GET /api/users/:id - Get single user
 router.get(
   '/:id',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('users.read'),
   userIdValidation,
   getUser
 );
@@ -115,7 +302,7 @@ router.get(
 router.put(
   '/:id',
   authMiddleware,
-  authorize('admin'),
+  requirePermission('users.update'),
   userIdValidation,
   updateUserValidation,
   updateUser
@@ -125,16 +312,83 @@ router.put(
 router.delete(
   '/:id',
   authMiddleware,
-  authorize('admin'),
+  requirePermission('users.delete'),
   userIdValidation,
   deleteUser
 );
 
+// GET /api/users/:id/sessions - List a user's active sessions (admin only)
+router.get(
+  '/:id/sessions',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  listUserSessions
+);
+
+// DELETE /api/users/:id/sessions - Revoke all of a user's sessions (admin only)
+router.delete(
+  '/:id/sessions',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  revokeAllUserSessions
+);
+
+// DELETE /api/users/:id/sessions/:sessionId - Revoke one session (admin only)
+router.delete(
+  '/:id/sessions/:sessionId',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  sessionIdValidation,
+  revokeUserSession
+);
+
+// GET /api/users/:id/lockout - Get login lockout state (admin only)
+router.get(
+  '/:id/lockout',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  getUserLockout
+);
+
+// POST /api/users/:id/unlock - Clear a login lockout (admin only)
+router.post(
+  '/:id/unlock',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  unlockUserValidation,
+  unlockUser
+);
+
+// DELETE /api/users/:id/two-factor - Reset a user's two-factor enrollment (admin only)
+router.delete(
+  '/:id/two-factor',
+  authMiddleware,
+  requirePermission('users.security'),
+  userIdValidation,
+  resetUserTwoFactor
+);
+
+// POST /api/users/:id/impersonate - Get a time-limited token to act as the user (admin only)
+router.post(
+  '/:id/impersonate',
+  authMiddleware,
+  forbidImpersonation,
+  requirePermission('users.impersonate'),
+  userIdValidation,
+  impersonateUserValidation,
+  impersonateUser
+);
+
 // POST /api/users/import - Import users from CSV (admin only)
 router.post(
   '/import',
   authMiddleware,
-  authorize('admin'),
+  requirePermission('users.import'),
   upload.single('file'),
   importUsers
 );
@@ -143,7 +397,7 @@ router.post(
 router.get(
   '/export',
   authMiddleware,
-  authorize('admin', 'manager'),
+  requirePermission('users.export'),
   exportUsers
 );
 
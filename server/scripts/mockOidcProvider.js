@@ -0,0 +1,159 @@
+/**
+ * Minimal OpenID Connect provider for local development and testing of single sign-on.
+ * NOT for production: it signs in whoever fills in the form.
+ *
+ * Usage:
+ *   npm run mock-idp
+ *   OIDC_ISSUER=http://localhost:5005 OIDC_CLIENT_ID=rebelx-local npm run dev
+ *
+ * The login form lets you pick the email, name and groups to sign in with, so you can
+ * try just-in-time provisioning and group-to-role mapping (OIDC_ROLE_MAPPING).
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '5005', 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'rebelx-local';
+const KEY_ID = 'mock-key-1';
+
+// Fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+// Show a login form carrying the authorization request through
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+  if (clientId !== CLIENT_ID || responseType !== 'code' || !redirectUri || method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('Invalid authorization request (client_id, response_type=code, redirect_uri and S256 PKCE are required)');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+<h2>Mock identity provider</h2>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email<br><input name="email" value="${escapeHtml(req.query.login_hint || 'jane.doe@example.com')}" size="40"></label></p>
+<p><label>Name<br><input name="name" value="Jane Doe" size="40"></label></p>
+<p><label>Groups (comma separated)<br><input name="groups" value="" size="40"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+<button type="submit">Sign in</button>
+</form>
+</body></html>`);
+});
+
+// Issue a code and send the browser back to the client
+app.post('/authorize', (req, res) => {
+  const code = crypto.randomBytes(24).toString('hex');
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri: req.body.redirect_uri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    user: {
+      sub: crypto.createHash('sha256').update(String(req.body.email).toLowerCase()).digest('hex').slice(0, 24),
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'true',
+      name: req.body.name,
+      groups: String(req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const url = new URL(req.body.redirect_uri);
+  url.searchParams.set('code', code);
+  if (req.body.state) {
+    url.searchParams.set('state', req.body.state);
+  }
+  res.redirect(url.toString());
+});
+
+// Exchange a code (single use, PKCE-checked) for tokens
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+  if (clientId !== entry.clientId || redirectUri !== entry.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+  }
+  const challenge = base64url(crypto.createHash('sha256').update(String(codeVerifier || '')).digest());
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.user, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, entry.user);
+
+  res.json({
+    token_type: 'Bearer',
+    access_token: accessToken,
+    id_token: idToken,
+    expires_in: 300
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  const user = accessTokens.get(token);
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
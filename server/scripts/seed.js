@@ -4,6 +4,7 @@ const readline = require('readline');
 const User = require('../models/User');
 const Client = require('../models/Client');
 const Activity = require('../models/Activity');
+const Role = require('../models/Role');
 
 // Support non-interactive mode
 const autoConfirm = process.argv.includes('--yes') || process.env.SEED_FORCE === 'true';
@@ -120,7 +121,8 @@ const generateUsers = () => {
     department: 'Operations',
     phone: generatePhone(),
     hourlyRate: 150,
-    status: 'active'
+    status: 'active',
+    emailVerified: true
   });
   
   users.push({
@@ -131,7 +133,8 @@ const generateUsers = () => {
     department: 'Engineering',
     phone: generatePhone(),
     hourlyRate: 175,
-    status: 'active'
+    status: 'active',
+    emailVerified: true
   });
   
   // Create 3 managers
@@ -146,7 +149,8 @@ const generateUsers = () => {
       department: getRandomElement(departments),
       phone: generatePhone(),
       hourlyRate: getRandomNumber(80, 120),
-      status: i === 2 ? 'inactive' : 'active' // One inactive manager
+      status: i === 2 ? 'inactive' : 'active', // One inactive manager
+      emailVerified: true
     });
   }
   
@@ -162,7 +166,8 @@ const generateUsers = () => {
       department: getRandomElement(departments),
       phone: generatePhone(),
       hourlyRate: getRandomNumber(40, 80),
-      status: i >= 8 ? 'inactive' : 'active' // Two inactive employees
+      status: i >= 8 ? 'inactive' : 'active', // Two inactive employees
+      emailVerified: true
     });
   }
   
@@ -395,6 +400,11 @@ const seedDatabase = async () => {
     await Activity.deleteMany({});
     console.log('✅ Existing data cleared');
     
+    // Built-in roles must exist before users can reference them
+    console.log('\n🔑 Ensuring default roles...');
+    await Role.seedDefaults();
+    console.log('✅ Default roles ready');
+    
     // Generate and insert users
     console.log('\n👥 Creating users...');
     const userData = generateUsers();
@@ -0,0 +1,139 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const AuthEvent = require('../models/AuthEvent');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Brute-force protection for credential checks.
+ * Failures are counted per account (email) and per client IP in MongoDB so the
+ * limits hold across every server instance.
+ */
+class LoginProtectionService {
+  constructor() {
+    this.policies = {
+      account: {
+        maxFailures: readInt('LOGIN_MAX_FAILURES', 5),
+        lockoutMinutes: readInt('LOGIN_LOCKOUT_MINUTES', 15),
+        maxLockoutMinutes: readInt('LOGIN_MAX_LOCKOUT_MINUTES', 24 * 60),
+        backoffBaseSeconds: readInt('LOGIN_BACKOFF_BASE_SECONDS', 1),
+        backoffMaxSeconds: readInt('LOGIN_BACKOFF_MAX_SECONDS', 60),
+        windowMinutes: readInt('LOGIN_FAILURE_WINDOW_MINUTES', 15)
+      },
+      // An IP may legitimately serve many users (office NAT), so allow more failures
+      ip: {
+        maxFailures: readInt('LOGIN_IP_MAX_FAILURES', 20),
+        lockoutMinutes: readInt('LOGIN_LOCKOUT_MINUTES', 15),
+        maxLockoutMinutes: readInt('LOGIN_MAX_LOCKOUT_MINUTES', 24 * 60),
+        backoffBaseSeconds: readInt('LOGIN_BACKOFF_BASE_SECONDS', 1),
+        backoffMaxSeconds: readInt('LOGIN_BACKOFF_MAX_SECONDS', 60),
+        windowMinutes: readInt('LOGIN_FAILURE_WINDOW_MINUTES', 15)
+      }
+    };
+  }
+
+  /**
+   * Build the keys to check for an attempt
+   */
+  getKeys({ email, ip }) {
+    const keys = [];
+    if (email) keys.push(LoginAttempt.buildKey('account', email));
+    if (ip) keys.push(LoginAttempt.buildKey('ip', ip));
+    return keys;
+  }
+
+  /**
+   * Check whether an attempt may proceed
+   * @param {Object} context - { email, ip, userAgent }
+   * @returns {Promise<Object|null>} Block details ({ scope, locked, retryAfterSeconds }) or null
+   */
+  async check(context) {
+    const block = await LoginAttempt.findBlock(this.getKeys(context));
+    if (block) {
+      await AuthEvent.record('login_blocked', {
+        email: context.email,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        metadata: { scope: block.scope, locked: block.locked, retryAfterSeconds: block.retryAfterSeconds }
+      });
+    }
+    return block;
+  }
+
+  /**
+   * Build the 429 response body for a blocked attempt
+   */
+  describeBlock(block) {
+    return {
+      message: block.locked
+        ? 'Too many failed login attempts. Login is temporarily locked.'
+        : 'Too many failed login attempts. Please wait before trying again.',
+      code: block.locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+      retryAfter: block.retryAfterSeconds
+    };
+  }
+
+  /**
+   * Record a failed credential check against both the account and the IP
+   * @param {Object} context - { email, ip, userAgent, userId, type }
+   */
+  async recordFailure(context) {
+    const { email, ip, userAgent, userId, type = 'login_failed' } = context;
+    await AuthEvent.record(type, { email, userId, ip, userAgent });
+
+    const scopes = [];
+    if (email) scopes.push(['account', email]);
+    if (ip) scopes.push(['ip', ip]);
+
+    for (const [scope, identifier] of scopes) {
+      const { attempt, lockedNow } = await LoginAttempt.registerFailure(scope, identifier, this.policies[scope]);
+      if (lockedNow) {
+        await AuthEvent.record(scope === 'account' ? 'account_locked' : 'ip_locked', {
+          email,
+          userId,
+          ip,
+          userAgent,
+          metadata: { lockedUntil: attempt.lockedUntil, lockouts: attempt.lockouts }
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a successful login and reset the account's counters
+   * IP counters are left to expire so an attacker can't reset them with their own account
+   * @param {Object} context - { email, ip, userAgent, userId, metadata }
+   */
+  async recordSuccess(context) {
+    const { email, ip, userAgent, userId, metadata } = context;
+    await LoginAttempt.clear('account', email);
+    await AuthEvent.record('login_success', { email, userId, ip, userAgent, metadata });
+  }
+
+  /**
+   * Lift a lockout (admin action)
+   * @param {String} scope - 'account' or 'ip'
+   * @param {String} identifier - Email or IP address
+   * @param {String} performedBy - Admin user ID
+   * @returns {Promise<Boolean>} Whether any counters were cleared
+   */
+  async unlock(scope, identifier, performedBy) {
+    const result = await LoginAttempt.clear(scope, identifier);
+    await AuthEvent.record(scope === 'account' ? 'account_unlocked' : 'ip_unlocked', {
+      ...(scope === 'account' ? { email: identifier, userId: identifier } : { ip: identifier }),
+      performedBy
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Get current lockout state for an account
+   */
+  async getStatus(scope, identifier) {
+    return LoginAttempt.findById(LoginAttempt.buildKey(scope, identifier)).lean();
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Escape user-provided values before interpolating them into HTML bodies
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Console transport - prints messages to stdout (default in development)
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log('[mail] ----------------------------------------');
+    console.log(`[mail] To: ${message.to}`);
+    console.log(`[mail] Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('[mail] ----------------------------------------');
+    return { transport: 'console' };
+  }
+}
+
+/**
+ * File transport - writes each message as a JSON file (useful for tests)
+ */
+class FileTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeTo}.json`;
+    const filePath = path.join(this.dir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { transport: 'file', path: filePath };
+  }
+}
+
+/**
+ * SMTP transport - delivers mail through nodemailer using EMAIL_* settings
+ */
+class SmtpTransport {
+  constructor() {
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT || '587', 10),
+      secure: String(process.env.EMAIL_SECURE || '').toLowerCase() === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { transport: 'smtp', messageId: info.messageId };
+  }
+}
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Resolve the configured transport (MAIL_TRANSPORT=console|file|smtp)
+   * Without MAIL_TRANSPORT, EMAIL_HOST selects smtp; otherwise mail goes to the console,
+   * except in production, where messages carry live sign-in tokens and must not end up
+   * in the logs
+   * @throws {Error} In production when no transport is configured
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    let name = process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : null);
+    if (!name) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('No mail transport configured: set EMAIL_HOST (or MAIL_TRANSPORT) in production');
+      }
+      name = 'console';
+    }
+    switch (name.toLowerCase()) {
+      case 'smtp':
+        this.transport = new SmtpTransport();
+        break;
+      case 'file':
+        this.transport = new FileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail'));
+        break;
+      case 'console':
+        this.transport = new ConsoleTransport();
+        break;
+      default:
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Check at startup that mail can be sent, so a missing production setup fails fast
+   */
+  verifyConfig() {
+    this.getTransport();
+  }
+
+  /**
+   * Replace the active transport (any object with an async send(message) method)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Build an absolute link into the client application
+   */
+  buildClientUrl(pathname) {
+    const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}${pathname}`;
+  }
+
+  /**
+   * Send a message through the active transport
+   */
+  async send({ to, subject, text, html }) {
+    const message = {
+      from: process.env.MAIL_FROM || 'RebelX <no-reply@rebelx.local>',
+      to,
+      subject,
+      text,
+      html
+    };
+
+    try {
+      return await this.getTransport().send(message);
+    } catch (error) {
+      console.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the password reset link
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const url = this.buildClientUrl(`/reset-password/${token}`);
+    return this.send({
+      to: user.email,
+      subject: 'Reset your RebelX password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your RebelX password. Use the link below to choose a new one:',
+        url,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your RebelX password. Use the link below to choose a new one:</p>
+<p><a href="${url}">${url}</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.<br>If you did not request a reset, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Send a one-time sign-in link
+   */
+  async sendMagicLink(user, token, expiresInMinutes) {
+    const url = this.buildClientUrl(`/magic-link/${token}`);
+    return this.send({
+      to: user.email,
+      subject: 'Your RebelX sign-in link',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Use the link below to sign in to RebelX:',
+        url,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not ask to sign in, you can ignore this email.'
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Use the link below to sign in to RebelX:</p>
+<p><a href="${url}">${url}</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.<br>If you did not ask to sign in, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Send the email verification link
+   */
+  async sendEmailVerification(user, token, expiresInHours) {
+    const url = this.buildClientUrl(`/verify-email/${token}`);
+    return this.send({
+      to: user.email,
+      subject: 'Verify your RebelX email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        url,
+        '',
+        `This link expires in ${expiresInHours} hours.`
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address by opening the link below:</p>
+<p><a href="${url}">${url}</a></p>
+<p>This link expires in ${expiresInHours} hours.</p>`
+    });
+  }
+
+  /**
+   * Send an invitation to join RebelX
+   */
+  async sendInvitation(invitation, inviterName, token, expiresInDays) {
+    const url = this.buildClientUrl(`/accept-invite/${token}`);
+    return this.send({
+      to: invitation.email,
+      subject: 'You have been invited to RebelX',
+      text: [
+        'Hi,',
+        '',
+        `${inviterName} has invited you to join RebelX as ${invitation.role}${invitation.department ? ` (${invitation.department})` : ''}.`,
+        'Use the link below to set your password and activate your account:',
+        url,
+        '',
+        `This invitation expires in ${expiresInDays} days.`
+      ].join('\n'),
+      html: `<p>Hi,</p>
+<p>${escapeHtml(inviterName)} has invited you to join RebelX as ${escapeHtml(invitation.role)}${invitation.department ? ` (${escapeHtml(invitation.department)})` : ''}.</p>
+<p>Use the link below to set your password and activate your account:</p>
+<p><a href="${url}">${url}</a></p>
+<p>This invitation expires in ${expiresInDays} days.</p>`
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
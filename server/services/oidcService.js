@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const { generateToken } = require('../utils/tokenUtils');
+const { DEFAULT_ROLE } = require('../utils/permissions');
+
+// Provider metadata and signing keys change rarely; refetch hourly
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+// Signature algorithms accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Parse a group to role mapping such as "crm-admins=admin,sales-leads=manager"
+ * Earlier entries win when a user is in several mapped groups
+ */
+const parseRoleMapping = (value) => {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const index = entry.lastIndexOf('=');
+      return index > 0
+        ? { group: entry.slice(0, index).trim(), role: entry.slice(index + 1).trim().toLowerCase() }
+        : null;
+    })
+    .filter(mapping => mapping && mapping.group && mapping.role);
+};
+
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE).
+ * Configured per deployment through OIDC_* environment variables; disabled
+ * unless an issuer and client ID are set.
+ */
+class OidcService {
+  constructor() {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.config = {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID || '',
+      // Optional: public clients rely on PKCE alone
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.OIDC_REDIRECT_URI || `${clientUrl}/auth/oidc/callback`,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+      autoProvision: String(process.env.OIDC_AUTO_PROVISION || 'true').toLowerCase() === 'true',
+      defaultRole: (process.env.OIDC_DEFAULT_ROLE || DEFAULT_ROLE).toLowerCase(),
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      // Only for providers that never send email_verified but verify every address
+      trustUnverifiedEmail: String(process.env.OIDC_TRUST_UNVERIFIED_EMAIL || 'false').toLowerCase() === 'true',
+      roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING)
+    };
+    this.discovery = null;
+    this.keys = null;
+  }
+
+  /**
+   * Whether single sign-on is configured for this deployment
+   */
+  isEnabled() {
+    return !!(this.config.issuer && this.config.clientId);
+  }
+
+  /**
+   * Fetch JSON from the provider, failing on non-2xx responses
+   */
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...(options.headers || {}) }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.error_description || body.error || response.statusText;
+      throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`);
+    }
+    return body;
+  }
+
+  /**
+   * Load the provider's discovery document (cached)
+   * @returns {Promise<Object>} OpenID provider metadata
+   */
+  async getProviderMetadata() {
+    if (this.discovery && this.discovery.expiresAt > Date.now()) {
+      return this.discovery.metadata;
+    }
+
+    const metadata = await this.fetchJson(`${this.config.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer && metadata.issuer.replace(/\/+$/, '') !== this.config.issuer) {
+      throw new Error(`OIDC issuer mismatch: expected ${this.config.issuer}, got ${metadata.issuer}`);
+    }
+
+    this.discovery = { metadata, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+    return metadata;
+  }
+
+  /**
+   * Find the provider key that signed a token, refetching the key set once on a miss
+   * so key rotation at the provider doesn't break logins
+   */
+  async getSigningKey(kid) {
+    const findKey = () => (this.keys?.keys || []).find(key => !kid || key.kid === kid);
+
+    let jwk = this.keys && this.keys.expiresAt > Date.now() ? findKey() : null;
+    if (!jwk) {
+      const metadata = await this.getProviderMetadata();
+      const jwks = await this.fetchJson(metadata.jwks_uri);
+      this.keys = { keys: jwks.keys || [], expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new Error(`OIDC signing key ${kid || '(none)'} not found`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: remember a PKCE verifier and nonce, and build the provider URL
+   * @param {Object} options - { redirectTo, ip }
+   * @returns {Promise<Object>} { url, state, expiresAt }: the authorization URL to send the
+   *   browser to, and its state (for the caller to bind to the browser) and expiry
+   */
+  async createAuthorizationUrl({ redirectTo, ip } = {}) {
+    const metadata = await this.getProviderMetadata();
+
+    const state = generateToken(32);
+    const nonce = generateToken(16);
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const request = await OidcAuthRequest.createForState(state, { codeVerifier, nonce, redirectTo, ip });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+    return { url: url.toString(), state, expiresAt: request.expiresAt };
+  }
+
+  /**
+   * Finish a login: exchange the code and verify the ID token
+   * @param {Object} request - Pending request returned by OidcAuthRequest.consume
+   * @param {String} code - Authorization code from the provider redirect
+   * @returns {Promise<Object>} Verified identity claims (ID token merged with userinfo)
+   */
+  async exchangeCode(request, code) {
+    const metadata = await this.getProviderMetadata();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: request.codeVerifier
+    });
+    if (this.config.clientSecret) {
+      params.set('client_secret', this.config.clientSecret);
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString()
+    });
+    if (!tokens.id_token) {
+      throw new Error('OIDC token response did not include an ID token');
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, request.nonce);
+
+    // Some providers only put email, its verification and groups in userinfo
+    const incomplete = !claims.email || claims.email_verified === undefined || !claims[this.config.groupsClaim];
+    if (incomplete && metadata.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (userinfo.sub === claims.sub) {
+        const merged = { ...userinfo, ...claims, [this.config.groupsClaim]: claims[this.config.groupsClaim] || userinfo[this.config.groupsClaim] };
+        // Verification only counts for the address it was reported with
+        if (claims.email_verified === undefined) {
+          merged.email_verified = userinfo.email === merged.email ? userinfo.email_verified : undefined;
+        }
+        return merged;
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('OIDC ID token is malformed');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const metadata = await this.getProviderMetadata();
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: this.config.clientId,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('OIDC ID token nonce mismatch');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.config.clientId) {
+      throw new Error('OIDC ID token authorized party mismatch');
+    }
+    return claims;
+  }
+
+  /**
+   * Whether the provider vouches for the email in a set of claims
+   * @param {Object} claims - Verified identity claims
+   * @returns {Boolean} True when email_verified is true, or missing and
+   *   OIDC_TRUST_UNVERIFIED_EMAIL is set; an explicit false is never accepted
+   */
+  isEmailVerified(claims) {
+    // Some providers send the claim as a string
+    if (claims.email_verified === true || claims.email_verified === 'true') {
+      return true;
+    }
+    return claims.email_verified === undefined && this.config.trustUnverifiedEmail;
+  }
+
+  /**
+   * Map the groups in a set of claims to a role key
+   * @param {Object} claims - Verified identity claims
+   * @returns {String|null} Role from the first matching mapping, or null
+   */
+  resolveRole(claims) {
+    const raw = claims[this.config.groupsClaim];
+    const groups = Array.isArray(raw) ? raw.map(String) : (raw ? [String(raw)] : []);
+    const match = this.config.roleMapping.find(mapping => groups.includes(mapping.group));
+    return match ? match.role : null;
+  }
+
+  /**
+   * Public description of the SSO setup for the login page
+   */
+  describe() {
+    return {
+      enabled: this.isEnabled(),
+      providerName: this.config.providerName
+    };
+  }
+}
+
+module.exports = new OidcService();
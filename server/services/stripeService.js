@@ -30,6 +30,8 @@ class StripeService {
         email: customerData.email,
         name: customerData.name,
         phone: customerData.phone,
+        address: customerData.address,
+        shipping: customerData.shipping,
         metadata: {
           clientId: customerData.clientId
         }
@@ -58,6 +60,23 @@ class StripeService {
     }
   }
 
+  /**
+   * Update a customer (e.g. its clientId metadata after a client merge)
+   */
+  async updateCustomer(customerId, updates) {
+    if (!this.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+
+    try {
+      const customer = await this.stripe.customers.update(customerId, updates);
+      return customer;
+    } catch (error) {
+      console.error('Error updating Stripe customer:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a payment method from token
    */
@@ -340,6 +359,24 @@ class StripeService {
     }
   }
 
+  /**
+   * List all charges for a customer (newest first, up to max)
+   */
+  async listAllCharges(customerId, max = 1000) {
+    if (!this.isConfigured()) {
+      throw new Error('Stripe is not configured');
+    }
+
+    try {
+      return await this.stripe.charges
+        .list({ customer: customerId, limit: 100 })
+        .autoPagingToArray({ limit: max });
+    } catch (error) {
+      console.error('Error listing all charges:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a refund for a payment intent
    */
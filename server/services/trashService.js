@@ -0,0 +1,134 @@
+const Client = require('../models/Client');
+const Activity = require('../models/Activity');
+const Contact = require('../models/Contact');
+const Setting = require('../models/Setting');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Client trash. Deleting a client only sets deletedAt/deletedBy (queries skip trashed
+ * clients, see models/Client.js); clients are removed for good, with their activities
+ * and contacts, when purged by hand or once the retention period (settings key
+ * 'trash') has passed.
+ */
+class TrashService {
+  constructor() {
+    // How often expired clients are purged (0 disables the background purge)
+    this.intervalMinutes = readInt('TRASH_PURGE_INTERVAL_MINUTES', 60);
+    this.timer = null;
+  }
+
+  /**
+   * Days trashed clients are kept (0 keeps them until purged by hand)
+   */
+  async getRetentionDays() {
+    const trash = await Setting.getValue('trash');
+    return trash.retentionDays;
+  }
+
+  /**
+   * When a trashed client will be purged automatically
+   * @returns {Date|null} null when retention is disabled
+   */
+  purgeDate(deletedAt, retentionDays) {
+    if (!deletedAt || !retentionDays) {
+      return null;
+    }
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+  }
+
+  /**
+   * Permanently delete trashed clients with their activities and contacts.
+   * Sub-accounts move up to the nearest ancestor that isn't purged.
+   * @param {Array<String>} clientIds - Client IDs (clients not in the trash are ignored)
+   * @returns {Promise<Object>} Deleted counts { clients, activities, contacts }
+   */
+  async purgeClients(clientIds) {
+    const clients = await Client.find({ _id: { $in: clientIds }, deletedAt: { $ne: null } })
+      .select('parentClientId')
+      .lean();
+    if (clients.length === 0) {
+      return { clients: 0, activities: 0, contacts: 0 };
+    }
+
+    const ids = clients.map(client => client._id);
+    const byId = new Map(clients.map(client => [String(client._id), client]));
+    const survivingParent = (client) => {
+      let parentId = client.parentClientId;
+      const seen = new Set();
+      while (parentId && byId.has(String(parentId)) && !seen.has(String(parentId))) {
+        seen.add(String(parentId));
+        parentId = byId.get(String(parentId)).parentClientId;
+      }
+      return parentId && !byId.has(String(parentId)) ? parentId : null;
+    };
+    for (const client of clients) {
+      await Client.updateMany(
+        { parentClientId: client._id, _id: { $nin: ids } },
+        { $set: { parentClientId: survivingParent(client) } },
+        { withDeleted: true }
+      );
+    }
+
+    const activityResult = await Activity.deleteMany({ clientId: { $in: ids } });
+    const contactResult = await Contact.deleteMany({ clientId: { $in: ids } });
+    const clientResult = await Client.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+
+    return {
+      clients: clientResult?.deletedCount ?? 0,
+      activities: activityResult?.deletedCount ?? 0,
+      contacts: contactResult?.deletedCount ?? 0
+    };
+  }
+
+  /**
+   * Purge clients trashed longer than the retention period
+   * @returns {Promise<Object|null>} Deleted counts, or null when retention is disabled
+   */
+  async purgeExpired() {
+    const retentionDays = await this.getRetentionDays();
+    if (!retentionDays) {
+      return null;
+    }
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    const clientIds = await Client.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct('_id');
+    if (clientIds.length === 0) {
+      return { clients: 0, activities: 0, contacts: 0 };
+    }
+    return this.purgeClients(clientIds);
+  }
+
+  /**
+   * Purge expired clients now and then every intervalMinutes
+   */
+  start() {
+    if (this.timer || this.intervalMinutes <= 0) {
+      return;
+    }
+    const run = async () => {
+      try {
+        const purged = await this.purgeExpired();
+        if (purged && purged.clients > 0) {
+          console.log('Purged expired clients from the trash:', purged);
+        }
+      } catch (error) {
+        console.error('Trash purge error:', error);
+      }
+    };
+    run();
+    this.timer = setInterval(run, this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TrashService();
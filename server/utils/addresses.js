@@ -0,0 +1,129 @@
+/**
+ * Client addresses: a list of billing, shipping and other addresses, each type with
+ * one default.
+ *
+ * The older single-address fields on the client (address, city, state, postalCode) are
+ * kept as a copy of the default billing address, so search, filters, duplicate detection
+ * and CSV columns keep working. Writing those fields updates the default billing address.
+ */
+
+const ADDRESS_TYPES = ['billing', 'shipping', 'other'];
+
+// Client field -> address field for the single-address fields
+const LEGACY_ADDRESS_FIELDS = {
+  address: 'line1',
+  city: 'city',
+  state: 'state',
+  postalCode: 'postalCode'
+};
+
+const ADDRESS_PARTS = ['line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+
+/**
+ * Format an address on one line
+ * @param {Object} address - Address with line1, line2, city, state, postalCode, country
+ * @returns {String} Non-empty parts joined with ", "
+ */
+const formatAddress = (address) => {
+  if (!address) return '';
+  return ADDRESS_PARTS
+    .map(part => address[part])
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Find the default address of a type
+ * @param {Array<Object>} addresses - Client addresses
+ * @param {String} type - billing, shipping or other
+ * @returns {Object|null} The address flagged default, else the first of that type
+ */
+const findDefaultAddress = (addresses, type) => {
+  const ofType = (addresses || []).filter(address => address.type === type);
+  return ofType.find(address => address.isDefault) || ofType[0] || null;
+};
+
+/**
+ * Leave exactly one default per address type: the last one flagged (so a newly added
+ * default replaces the old one), else the first of the type
+ * @param {Array<Object>} addresses - Addresses (plain objects or subdocuments), changed in place
+ * @returns {Array<Object>} The same addresses
+ */
+const normalizeAddressDefaults = (addresses) => {
+  for (const type of ADDRESS_TYPES) {
+    const ofType = addresses.filter(address => address.type === type);
+    const defaultAddress = ofType.filter(address => address.isDefault).pop() || ofType[0];
+    for (const address of addresses) {
+      if (address.type === type) {
+        address.isDefault = address === defaultAddress;
+      }
+    }
+  }
+  return addresses;
+};
+
+/**
+ * Single-address client fields for a list of addresses
+ * @param {Array<Object>} addresses - Client addresses
+ * @returns {Object} { address, city, state, postalCode } from the default billing
+ *   address (or the first address), empty strings when there is none
+ */
+const legacyFieldsFromAddresses = (addresses) => {
+  const main = findDefaultAddress(addresses, 'billing') || (addresses || [])[0] || {};
+  return Object.fromEntries(
+    Object.entries(LEGACY_ADDRESS_FIELDS).map(([field, part]) => [field, main[part] || ''])
+  );
+};
+
+/**
+ * Apply single-address client fields to the default billing address
+ * @param {Array<Object>} addresses - Current client addresses
+ * @param {Object} fields - Client fields (address, city, state, postalCode); missing ones are kept
+ * @returns {Array<Object>|null} New plain address list, or null when nothing changes
+ */
+const applyLegacyFields = (addresses, fields) => {
+  const list = (addresses || []).map(address => (address.toObject ? address.toObject() : { ...address }));
+  const main = findDefaultAddress(list, 'billing');
+  const changes = {};
+  for (const [field, part] of Object.entries(LEGACY_ADDRESS_FIELDS)) {
+    if (fields[field] === undefined || fields[field] === null) continue;
+    const value = String(fields[field]).trim();
+    if (value !== ((main && main[part]) || '')) changes[part] = value;
+  }
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+  if (!main) {
+    if (!Object.values(changes).some(Boolean)) return null;
+    return [...list, { type: 'billing', isDefault: true, ...changes }];
+  }
+  return list.map(address => (address === main ? { ...address, ...changes } : address));
+};
+
+/**
+ * Convert an address to the shape Stripe expects on customers
+ * @param {Object} address - Client address
+ * @returns {Object|undefined} { line1, line2, city, state, postal_code, country }
+ */
+const toStripeAddress = (address) => {
+  if (!address || !formatAddress(address)) return undefined;
+  return {
+    line1: address.line1 || undefined,
+    line2: address.line2 || undefined,
+    city: address.city || undefined,
+    state: address.state || undefined,
+    postal_code: address.postalCode || undefined,
+    country: address.country || undefined
+  };
+};
+
+module.exports = {
+  ADDRESS_TYPES,
+  LEGACY_ADDRESS_FIELDS,
+  formatAddress,
+  findDefaultAddress,
+  normalizeAddressDefaults,
+  legacyFieldsFromAddresses,
+  applyLegacyFields,
+  toStripeAddress
+};
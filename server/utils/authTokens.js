@@ -0,0 +1,100 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Two-factor challenge tokens are only good for finishing a login
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+// Impersonation sessions end after this many minutes and cannot be refreshed
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES || '30', 10);
+
+/**
+ * Open a server-side session and issue an access token plus rotating refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {Object} options - { mfaVerified, passwordChangeRequired }
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const createSessionTokens = async (user, req, options = {}) => {
+  const { mfaVerified = false, passwordChangeRequired = false } = options;
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    mfaVerified,
+    passwordChangeRequired
+  });
+  return {
+    token: user.generateAuthToken(session._id, { mfa: mfaVerified, passwordChangeRequired }),
+    refreshToken
+  };
+};
+
+/**
+ * Open a time-limited session as another user on behalf of an admin
+ * The access token carries both identities: userId (target) and impersonatedBy (admin)
+ * @param {Object} user - Target user document
+ * @param {String} adminUserId - Impersonating admin's user ID
+ * @param {Object} req - Express request (for IP and user agent)
+ * @returns {Promise<Object>} { token, sessionId, expiresAt }
+ */
+const createImpersonationToken = async (user, adminUserId, req) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000);
+  const { session } = await Session.createForUser(user._id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    // The admin already satisfied their own two-factor policy to get here
+    mfaVerified: true,
+    impersonatedBy: adminUserId,
+    expiresAt
+  });
+  return {
+    token: user.generateAuthToken(session._id, {
+      mfa: true,
+      impersonatedBy: adminUserId,
+      expiresIn: IMPERSONATION_EXPIRE_MINUTES * 60
+    }),
+    sessionId: session._id,
+    expiresAt
+  };
+};
+
+/**
+ * Issue a short-lived token proving the password step of a two-factor login succeeded
+ * @param {Object} user - User document
+ * @param {Object} options - { passwordChangeRequired } carried through to the session
+ * @returns {String} Signed challenge token
+ */
+const createTwoFactorChallenge = (user, options = {}) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      purpose: TWO_FACTOR_CHALLENGE_PURPOSE,
+      pwc: options.passwordChangeRequired ? true : undefined
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} token - Challenge token from login
+ * @returns {Object|null} { userId, passwordChangeRequired }, or null if the token is invalid or expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE
+      ? { userId: decoded.userId, passwordChangeRequired: !!decoded.pwc }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createSessionTokens,
+  createImpersonationToken,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -0,0 +1,295 @@
+const { escapeRegex } = require('./clientSearch');
+
+/**
+ * Duplicate client detection.
+ *
+ * Clients are grouped into buckets by cheap blocking keys (email, phone digits, name
+ * tokens, postal code) so only plausible pairs are compared, then each pair is scored
+ * on normalized email, phone digits, name similarity and address.
+ */
+
+// Points each signal contributes to a pair's score (capped at 100)
+const DUPLICATE_SCORE_WEIGHTS = {
+  email: 40,
+  phone: 30,
+  name: 35, // Scaled by name similarity
+  address: 15,
+  postalCode: 5
+};
+
+// Pairs scoring below this aren't reported unless the caller asks for a lower bar
+const DEFAULT_MIN_SCORE = 50;
+
+// Names must be at least this similar (0-1) to count
+const MIN_NAME_SIMILARITY = 0.6;
+
+// Buckets larger than this are too generic to be useful (e.g. a shared office phone)
+const MAX_BUCKET_SIZE = 50;
+
+// Most clients loaded for a full duplicate scan (newest first); checks for one client
+// query only the clients sharing a blocking key with it instead
+const MAX_DUPLICATE_SCAN = 10000;
+
+// Legal suffixes and filler words ignored when comparing company names
+const NAME_STOP_WORDS = new Set([
+  'the', 'and', 'inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'corp',
+  'corporation', 'company', 'plc', 'gmbh', 'sa', 'srl', 'pty', 'group', 'holdings'
+]);
+
+// Common street words, so "123 Main Street" matches "123 Main St."
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr',
+  lane: 'ln', court: 'ct', suite: 'ste', north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+/**
+ * Normalize an email for comparison
+ * @param {String} email - Raw email
+ * @returns {String} Lowercased email without a "+tag", or ''
+ */
+const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  const [local, domain] = value.split('@');
+  if (!local || !domain) {
+    return '';
+  }
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+/**
+ * Reduce a phone number to its last 10 digits
+ * @param {String} phone - Raw phone
+ * @returns {String} Digits, or '' when too short to be meaningful
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+};
+
+/**
+ * Split a company name into comparable tokens
+ * @param {String} name - Raw name
+ * @returns {Array<String>} Lowercased tokens without punctuation or legal suffixes
+ */
+const nameTokens = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !NAME_STOP_WORDS.has(token));
+};
+
+/**
+ * Normalize a street address for comparison
+ * @param {String} address - Raw address
+ * @returns {String} Lowercased address with common words abbreviated
+ */
+const normalizeAddress = (address) => {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ADDRESS_ABBREVIATIONS[token] || token)
+    .join(' ');
+};
+
+// Character bigrams of a string (spaces removed)
+const bigrams = (value) => {
+  const compact = value.replace(/\s+/g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+};
+
+/**
+ * Similarity of two names (Sørensen–Dice over character bigrams)
+ * @param {String} a - First name
+ * @param {String} b - Second name
+ * @returns {Number} 0 (nothing in common) to 1 (same after normalization)
+ */
+const nameSimilarity = (a, b) => {
+  const left = nameTokens(a).join(' ');
+  const right = nameTokens(b).join(' ');
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const gram of leftGrams) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  let shared = 0;
+  for (const gram of rightGrams) {
+    const count = counts.get(gram);
+    if (count) {
+      shared += 1;
+      counts.set(gram, count - 1);
+    }
+  }
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+};
+
+// Precompute the normalized values used for blocking and scoring
+const prepareClient = (client) => ({
+  client,
+  email: normalizeEmail(client.email),
+  phone: normalizePhone(client.phone),
+  tokens: nameTokens(client.name),
+  address: normalizeAddress(client.address),
+  postalCode: String(client.postalCode || '').replace(/\s+/g, '').toLowerCase()
+});
+
+/**
+ * Score how likely two clients are the same company
+ * @param {Object} a - Client (plain object)
+ * @param {Object} b - Client (plain object)
+ * @returns {Object} { score (0-100), reasons: [{ signal, detail }] }
+ */
+const scoreClientPair = (a, b) => {
+  const left = a.tokens ? a : prepareClient(a);
+  const right = b.tokens ? b : prepareClient(b);
+
+  let score = 0;
+  const reasons = [];
+
+  if (left.email && left.email === right.email) {
+    score += DUPLICATE_SCORE_WEIGHTS.email;
+    reasons.push({ signal: 'email', detail: left.email });
+  }
+
+  if (left.phone && left.phone === right.phone) {
+    score += DUPLICATE_SCORE_WEIGHTS.phone;
+    reasons.push({ signal: 'phone', detail: left.phone });
+  }
+
+  const similarity = nameSimilarity(left.client.name, right.client.name);
+  if (similarity >= MIN_NAME_SIMILARITY) {
+    score += Math.round(DUPLICATE_SCORE_WEIGHTS.name * similarity);
+    reasons.push({ signal: 'name', detail: Math.round(similarity * 100) / 100 });
+  }
+
+  if (left.address && left.address === right.address) {
+    score += DUPLICATE_SCORE_WEIGHTS.address;
+    reasons.push({ signal: 'address', detail: left.address });
+  }
+
+  if (left.postalCode && left.postalCode === right.postalCode) {
+    score += DUPLICATE_SCORE_WEIGHTS.postalCode;
+    reasons.push({ signal: 'postalCode', detail: left.postalCode });
+  }
+
+  return { score: Math.min(100, score), reasons };
+};
+
+/**
+ * Build a filter matching clients that share a blocking key with the given one, so a
+ * check for a single client only loads the clients it could be paired with. The filter
+ * can match a few extra clients (e.g. the first name token anywhere in the name); scoring
+ * sorts those out.
+ * @param {Object} client - Client (plain object)
+ * @returns {Object|null} MongoDB filter, or null when the client has no blocking key
+ */
+const duplicateCandidateFilter = (client) => {
+  const { email, phone, tokens, postalCode } = prepareClient(client);
+  const conditions = [];
+  if (email) {
+    const [local, domain] = email.split('@');
+    conditions.push({ email: new RegExp(`^\\s*${escapeRegex(local)}(\\+[^@]*)?@${escapeRegex(domain)}\\s*$`, 'i') });
+  }
+  if (phone) {
+    conditions.push({ phone: new RegExp(`${phone.split('').join('\\D*')}\\D*$`) });
+  }
+  if (tokens.length > 0) {
+    conditions.push({ name: new RegExp(escapeRegex(tokens[0]), 'i') });
+  }
+  if (postalCode) {
+    conditions.push({ postalCode: new RegExp(`^\\s*${postalCode.split('').map(escapeRegex).join('\\s*')}\\s*$`, 'i') });
+  }
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+/**
+ * Find likely duplicate pairs among clients
+ * @param {Array<Object>} clients - Plain client objects (name, email, phone, address, postalCode)
+ * @param {Object} options
+ * @param {Number} [options.minScore] - Lowest score to report
+ * @param {String} [options.clientId] - Only report pairs involving this client
+ * @returns {Array<Object>} [{ score, reasons, clientIds: [a, b] }] best first
+ */
+const findDuplicatePairs = (clients, { minScore = DEFAULT_MIN_SCORE, clientId } = {}) => {
+  const prepared = clients.map(prepareClient);
+
+  // Blocking: only clients sharing at least one key are compared
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(index);
+  };
+  prepared.forEach((entry, index) => {
+    if (entry.email) addToBucket(`email:${entry.email}`, index);
+    if (entry.phone) addToBucket(`phone:${entry.phone}`, index);
+    if (entry.tokens.length > 0) addToBucket(`name:${entry.tokens[0]}`, index);
+    if (entry.postalCode) addToBucket(`postal:${entry.postalCode}`, index);
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  for (const indexes of buckets.values()) {
+    if (indexes.length < 2 || indexes.length > MAX_BUCKET_SIZE) {
+      continue;
+    }
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const left = prepared[indexes[i]];
+        const right = prepared[indexes[j]];
+        const ids = [String(left.client._id), String(right.client._id)].sort();
+        const key = ids.join('|');
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        if (clientId && !ids.includes(String(clientId))) {
+          continue;
+        }
+
+        const { score, reasons } = scoreClientPair(left, right);
+        if (score >= minScore) {
+          pairs.push({ score, reasons, clientIds: ids });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DUPLICATE_SCORE_WEIGHTS,
+  DEFAULT_MIN_SCORE,
+  MAX_DUPLICATE_SCAN,
+  normalizeEmail,
+  normalizePhone,
+  normalizeAddress,
+  nameSimilarity,
+  scoreClientPair,
+  duplicateCandidateFilter,
+  findDuplicatePairs
+};
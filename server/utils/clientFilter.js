@@ -0,0 +1,291 @@
+/**
+ * Structured filter language for client queries.
+ *
+ * A filter is a condition or a group of conditions (JSON):
+ *   { "field": "forecastedAmount", "op": "between", "value": [1000, 5000] }
+ *   { "and": [ <filter>, ... ] }   { "or": [ <filter>, ... ] }
+ *
+ * Only whitelisted fields may be used, and each field type allows a fixed set of operators.
+ * Values are coerced to the field type, so query-string values ("5000", "true") work too.
+ * Admin-defined custom fields are filterable as "customFields.<key>".
+ */
+
+const CustomField = require('../models/CustomField');
+const { escapeRegex } = require('./clientSearch');
+
+// Operators allowed per field type
+const TYPE_OPERATORS = {
+  string: ['eq', 'ne', 'in', 'notIn', 'contains', 'isEmpty', 'exists'],
+  number: ['eq', 'ne', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'between', 'isEmpty', 'exists'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'isEmpty', 'exists'],
+  boolean: ['eq'],
+  array: ['eq', 'in', 'notIn', 'isEmpty']
+};
+
+// Filterable client fields; `path` is the stored path when it differs from the field name
+// and `presence` marks booleans stored as "path exists" rather than true/false
+const CLIENT_FILTER_FIELDS = {
+  name: { type: 'string' },
+  fullName: { type: 'string' },
+  description: { type: 'string' },
+  email: { type: 'string' },
+  phone: { type: 'string' },
+  owner: { type: 'string' },
+  ownedBy: { type: 'string' },
+  sharedWith: { type: 'array' },
+  tags: { type: 'array' },
+  parentClientId: { type: 'string' },
+  contactStatus: { type: 'string' },
+  contactType: { type: 'string' },
+  companyType: { type: 'string' },
+  industry: { type: 'string' },
+  address: { type: 'string' },
+  city: { type: 'string' },
+  state: { type: 'string' },
+  postalCode: { type: 'string' },
+  website: { type: 'string' },
+  externalId: { type: 'string' },
+  lastNote: { type: 'string' },
+  defaultShippingTerms: { type: 'string' },
+  defaultPaymentMethod: { type: 'string' },
+  forecastedAmount: { type: 'number' },
+  interactionCount: { type: 'number' },
+  projectedCloseDate: { type: 'date' },
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' },
+  // Virtual on the model: true when at least one stored card exists
+  hasPaymentMethod: { type: 'boolean', path: 'paymentMethod.paymentMethods.0', presence: true }
+};
+
+// Guards against oversized or deeply nested filters
+const MAX_FILTER_DEPTH = 5;
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_LIST_VALUES = 100;
+const MAX_STRING_LENGTH = 200;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Coerce a single filter value to a field type
+ * @param {*} value - Raw value
+ * @param {String} type - Field type
+ * @param {String} field - Field name (for messages)
+ * @returns {*} Coerced value
+ */
+const coerceValue = (value, type, field) => {
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Filter value for "${field}" must be a number`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new Error(`Filter value for "${field}" must be a valid date`);
+      }
+      return date;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`Filter value for "${field}" must be true or false`);
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`Filter value for "${field}" must be a string`);
+      }
+      if (String(value).length > MAX_STRING_LENGTH) {
+        throw new Error(`Filter value for "${field}" cannot exceed ${MAX_STRING_LENGTH} characters`);
+      }
+      return String(value);
+  }
+};
+
+// Optional boolean flag used by isEmpty/exists (defaults to true)
+const coerceFlag = (value, field, op) => {
+  if (value === undefined) return true;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new Error(`Filter value for "${field}" ${op} must be true or false`);
+};
+
+// Value list used by in/notIn/between
+const coerceList = (value, type, field, op) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`Filter value for "${field}" ${op} must be a non-empty array`);
+  }
+  if (value.length > MAX_LIST_VALUES) {
+    throw new Error(`Filter value for "${field}" ${op} cannot have more than ${MAX_LIST_VALUES} entries`);
+  }
+  return value.map(item => coerceValue(item, type, field));
+};
+
+/**
+ * Translate one condition into a MongoDB filter
+ * @param {Object} condition - { field, op, value }
+ * @param {Object} fields - Filterable fields (built-in plus custom)
+ * @returns {Object} MongoDB filter
+ */
+const buildCondition = ({ field, op, value }, fields) => {
+  const definition = Object.prototype.hasOwnProperty.call(fields, field)
+    ? fields[field]
+    : null;
+  if (!definition) {
+    throw new Error(`Unknown filter field "${field}"`);
+  }
+  const { type } = definition;
+  if (!TYPE_OPERATORS[type].includes(op)) {
+    throw new Error(`Operator "${op}" is not supported for "${field}"`);
+  }
+  const path = definition.path || field;
+
+  // e.g. hasPaymentMethod is stored as "first card exists" rather than a real boolean
+  if (type === 'boolean') {
+    const flag = coerceValue(value, type, field);
+    if (definition.presence) {
+      return { [path]: { $exists: flag } };
+    }
+    return flag ? { [path]: true } : { [path]: { $ne: true } };
+  }
+
+  switch (op) {
+    case 'eq':
+      return { [path]: coerceValue(value, type, field) };
+    case 'ne':
+      return { [path]: { $ne: coerceValue(value, type, field) } };
+    case 'in':
+      return { [path]: { $in: coerceList(value, type, field, op) } };
+    case 'notIn':
+      return { [path]: { $nin: coerceList(value, type, field, op) } };
+    case 'contains':
+      return { [path]: { $regex: escapeRegex(coerceValue(value, type, field)), $options: 'i' } };
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return { [path]: { [`$${op}`]: coerceValue(value, type, field) } };
+    case 'between': {
+      const range = coerceList(value, type, field, op);
+      if (range.length !== 2) {
+        throw new Error(`Filter value for "${field}" between must be [from, to]`);
+      }
+      return { [path]: { $gte: range[0], $lte: range[1] } };
+    }
+    case 'exists':
+      return { [path]: { $exists: coerceFlag(value, field, op) } };
+    case 'isEmpty': {
+      const empty = type === 'array'
+        ? { $or: [{ [path]: { $exists: false } }, { [path]: { $size: 0 } }] }
+        : { [path]: { $in: type === 'string' ? [null, ''] : [null] } };
+      return coerceFlag(value, field, op) ? empty : { $nor: [empty] };
+    }
+    default:
+      throw new Error(`Operator "${op}" is not supported for "${field}"`);
+  }
+};
+
+/**
+ * Translate a parsed filter tree into a MongoDB filter
+ * @param {Object} node - Condition or group
+ * @param {Object} state - { depth, conditions } counters and the filterable fields
+ * @returns {Object} MongoDB filter
+ */
+const buildNode = (node, state) => {
+  if (!isPlainObject(node)) {
+    throw new Error('Each filter entry must be an object');
+  }
+  if (state.depth > MAX_FILTER_DEPTH) {
+    throw new Error(`Filters cannot be nested more than ${MAX_FILTER_DEPTH} levels deep`);
+  }
+
+  const groupKey = ['and', 'or'].find(key => key in node);
+  if (groupKey) {
+    const children = node[groupKey];
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`"${groupKey}" must be a non-empty array of filters`);
+    }
+    const built = children.map(child => buildNode(child, { ...state, depth: state.depth + 1 }));
+    return built.length === 1 ? built[0] : { [`$${groupKey}`]: built };
+  }
+
+  state.conditions.count += 1;
+  if (state.conditions.count > MAX_FILTER_CONDITIONS) {
+    throw new Error(`Filters cannot have more than ${MAX_FILTER_CONDITIONS} conditions`);
+  }
+  if (typeof node.field !== 'string' || typeof node.op !== 'string') {
+    throw new Error('Each filter condition needs a "field" and an "op"');
+  }
+  return buildCondition(node, state.fields);
+};
+
+/**
+ * Parse a client filter into a MongoDB filter
+ * @param {String|Object} raw - JSON string (query parameter) or already-parsed object
+ * @param {Object} [customFields] - Custom filter fields (CustomField.getFilterFields())
+ * @returns {Object|null} MongoDB filter, or null when no filter was given
+ * @throws {Error} With a user-facing message when the filter is invalid
+ */
+const parseClientFilter = (raw, customFields = {}) => {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+
+  let tree = raw;
+  if (typeof raw === 'string') {
+    try {
+      tree = JSON.parse(raw);
+    } catch (e) {
+      throw new Error('Filter must be valid JSON');
+    }
+  }
+
+  const fields = { ...customFields, ...CLIENT_FILTER_FIELDS };
+  return buildNode(tree, { depth: 0, conditions: { count: 0 }, fields });
+};
+
+/**
+ * express-validator custom validator for a `filter` parameter
+ * @param {String|Object} value - Submitted filter
+ * @returns {Promise<Boolean>} true when valid
+ */
+const clientFilterCheck = async (value) => {
+  parseClientFilter(value, await CustomField.getFilterFields());
+  return true;
+};
+
+/**
+ * Add a parsed filter to an existing query without overwriting its keys
+ * @param {Object} query - Existing filter (modified in place)
+ * @param {Object|null} filter - Result of parseClientFilter
+ * @returns {Object} The query
+ */
+const applyClientFilter = (query, filter) => {
+  if (filter) {
+    query.$and = [...(query.$and || []), filter];
+  }
+  return query;
+};
+
+/**
+ * Describe the filterable fields and their operators (for filter builders in the UI)
+ * @param {Object} [customFields] - Custom filter fields (CustomField.getFilterFields())
+ * @returns {Array<Object>} [{ field, type, operators, label? }]
+ */
+const describeClientFilterFields = (customFields = {}) => {
+  return Object.entries({ ...CLIENT_FILTER_FIELDS, ...customFields }).map(([field, { type, label }]) => ({
+    field,
+    type,
+    operators: TYPE_OPERATORS[type],
+    ...(label && { label })
+  }));
+};
+
+module.exports = {
+  CLIENT_FILTER_FIELDS,
+  parseClientFilter,
+  clientFilterCheck,
+  applyClientFilter,
+  describeClientFilterFields
+};
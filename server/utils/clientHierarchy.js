@@ -0,0 +1,215 @@
+const Client = require('../models/Client');
+const Activity = require('../models/Activity');
+const { applyClientScope } = require('./clientScope');
+const stripeService = require('../services/stripeService');
+
+/**
+ * Parent/subsidiary account hierarchy: clients point at their parent with parentClientId.
+ *
+ * Trees are read with $graphLookup, which stops at clients it has already visited, so a
+ * bad link can't loop forever; checkParentClient keeps cycles from being saved at all.
+ * Trashed clients are skipped, so their sub-accounts show as top-level until restored.
+ */
+
+// Charges read per Stripe customer when summing payments
+const MAX_CHARGES_PER_CUSTOMER = 1000;
+
+// Stripe customers queried at once when summing payments
+const PAYMENT_CONCURRENCY = 4;
+
+/**
+ * List a client's ancestors
+ * @param {String} clientId - Client ID
+ * @returns {Promise<Array<String>>} Ancestor IDs, parent first, top-level account last
+ */
+const findAncestorIds = async (clientId) => {
+  const [result] = await Client.aggregate([
+    { $match: { _id: String(clientId) } },
+    {
+      $graphLookup: {
+        from: Client.collection.name,
+        startWith: '$parentClientId',
+        connectFromField: 'parentClientId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    },
+    { $project: { 'ancestors._id': 1, 'ancestors.depth': 1 } }
+  ]);
+  if (!result) return [];
+  return result.ancestors
+    .sort((a, b) => a.depth - b.depth)
+    .map(ancestor => ancestor._id);
+};
+
+/**
+ * List every client under a client (children, their children, ...)
+ * @param {String|Array<String>} clientIds - Client ID(s)
+ * @returns {Promise<Array<String>>} Descendant IDs (not including the given clients)
+ */
+const findDescendantIds = async (clientIds) => {
+  const ids = [].concat(clientIds).map(String);
+  const results = await Client.aggregate([
+    { $match: { _id: { $in: ids } } },
+    {
+      $graphLookup: {
+        from: Client.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentClientId',
+        as: 'descendants',
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    },
+    { $project: { 'descendants._id': 1 } }
+  ]);
+  const descendants = new Set(results.flatMap(result => result.descendants.map(d => d._id)));
+  ids.forEach(id => descendants.delete(id));
+  return [...descendants];
+};
+
+/**
+ * Check that a client may be placed under a parent
+ * @param {String|null} clientId - Client being moved (null for a new client)
+ * @param {String} parentId - Proposed parent client ID
+ * @returns {Promise<String|null>} Error message, or null when the link is allowed
+ */
+const checkParentClient = async (clientId, parentId) => {
+  if (clientId && String(clientId) === String(parentId)) {
+    return 'A client cannot be its own parent';
+  }
+  if (!(await Client.exists({ _id: parentId }))) {
+    return 'Parent client not found';
+  }
+  if (clientId && (await findAncestorIds(parentId)).includes(String(clientId))) {
+    return 'Parent client is already under this client';
+  }
+  return null;
+};
+
+/**
+ * Sum a client's successful Stripe payments, net of refunds
+ * @param {Object} client - Client with paymentMethod.stripeCustomerId / mergedCustomerIds
+ * @returns {Promise<Object>} Totals by currency, e.g. { usd: 1250.5 }
+ */
+const sumClientPayments = async (client) => {
+  const customerIds = [
+    client.paymentMethod?.stripeCustomerId,
+    ...(client.paymentMethod?.mergedCustomerIds || [])
+  ].filter(Boolean);
+  const totals = {};
+  for (const customerId of customerIds) {
+    const charges = await stripeService.listAllCharges(customerId, MAX_CHARGES_PER_CUSTOMER);
+    for (const charge of charges) {
+      if (charge.status !== 'succeeded') continue;
+      const net = (charge.amount - (charge.amount_refunded || 0)) / 100;
+      totals[charge.currency] = (totals[charge.currency] || 0) + net;
+    }
+  }
+  return totals;
+};
+
+const addTotals = (target, source) => {
+  for (const [currency, amount] of Object.entries(source || {})) {
+    target[currency] = Math.round(((target[currency] || 0) + amount) * 100) / 100;
+  }
+  return target;
+};
+
+/**
+ * Build the account tree containing a client, with rollups across each node's descendants
+ * @param {String} clientId - Any client in the tree
+ * @param {Object} options
+ * @param {Object|null} options.scope - Result of getClientScope (null for all); clients
+ *   outside it appear as { _id, restricted: true } and count toward no rollup
+ * @param {Boolean} options.includePayments - Sum Stripe payments (needs Stripe configured)
+ * @returns {Promise<Object>} { tree, path } where path lists the IDs from the top-level
+ *   account down to clientId
+ */
+const buildClientTree = async (clientId, { scope = null, includePayments = false } = {}) => {
+  const ancestorIds = await findAncestorIds(clientId);
+  const rootId = ancestorIds.length > 0 ? ancestorIds[ancestorIds.length - 1] : String(clientId);
+  const treeIds = [rootId, ...(await findDescendantIds(rootId))];
+
+  const clients = await Client.find({ _id: { $in: treeIds } })
+    .select('name contactStatus industry city forecastedAmount parentClientId ownedBy paymentMethod.mergedCustomerIds +paymentMethod.stripeCustomerId')
+    .lean();
+  const visibleIds = scope
+    ? await Client.find(applyClientScope({ _id: { $in: treeIds } }, scope)).distinct('_id')
+    : treeIds;
+  const visible = new Set(visibleIds.map(String));
+  const visibleClients = clients.filter(client => visible.has(String(client._id)));
+
+  const activityCounts = await Activity.aggregate([
+    { $match: { clientId: { $in: visibleClients.map(client => client._id) } } },
+    { $group: { _id: '$clientId', count: { $sum: 1 } } }
+  ]);
+  const activityById = new Map(activityCounts.map(entry => [String(entry._id), entry.count]));
+
+  const paymentsById = new Map();
+  if (includePayments) {
+    for (let i = 0; i < visibleClients.length; i += PAYMENT_CONCURRENCY) {
+      const batch = visibleClients.slice(i, i + PAYMENT_CONCURRENCY);
+      const totals = await Promise.all(batch.map(client => sumClientPayments(client)));
+      batch.forEach((client, index) => paymentsById.set(String(client._id), totals[index]));
+    }
+  }
+
+  const nodes = new Map(clients.map(client => {
+    const id = String(client._id);
+    if (!visible.has(id)) {
+      return [id, { _id: id, parentClientId: client.parentClientId || null, restricted: true, children: [] }];
+    }
+    return [id, {
+      _id: id,
+      name: client.name,
+      contactStatus: client.contactStatus,
+      industry: client.industry,
+      city: client.city,
+      ownedBy: client.ownedBy,
+      parentClientId: client.parentClientId || null,
+      forecastedAmount: client.forecastedAmount || 0,
+      activityCount: activityById.get(id) || 0,
+      ...(includePayments && { payments: paymentsById.get(id) || {} }),
+      children: []
+    }];
+  }));
+  for (const node of nodes.values()) {
+    const parent = node._id !== rootId && nodes.get(String(node.parentClientId));
+    if (parent) parent.children.push(node);
+  }
+
+  // Rollups include the node itself and everything under it
+  const rollUp = (node) => {
+    node.children.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+    const rollup = {
+      clientCount: node.restricted ? 0 : 1,
+      forecastedAmount: node.forecastedAmount || 0,
+      activityCount: node.activityCount || 0,
+      ...(includePayments && { payments: addTotals({}, node.payments) })
+    };
+    for (const child of node.children) {
+      const childRollup = rollUp(child);
+      rollup.clientCount += childRollup.clientCount;
+      rollup.forecastedAmount += childRollup.forecastedAmount;
+      rollup.activityCount += childRollup.activityCount;
+      if (includePayments) addTotals(rollup.payments, childRollup.payments);
+    }
+    if (!node.restricted) node.rollup = rollup;
+    return rollup;
+  };
+  const tree = nodes.get(rootId);
+  rollUp(tree);
+
+  return { tree, path: [...ancestorIds].reverse().concat(String(clientId)) };
+};
+
+module.exports = {
+  findAncestorIds,
+  findDescendantIds,
+  checkParentClient,
+  sumClientPayments,
+  buildClientTree
+};
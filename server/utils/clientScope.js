@@ -0,0 +1,98 @@
+const Client = require('../models/Client');
+const User = require('../models/User');
+const Role = require('../models/Role');
+
+/**
+ * Build the filter limiting clients to those a user may see.
+ * Which rule applies is driven by the user's role permissions:
+ * - clients.viewAll: every client (no filter)
+ * - clients.viewDepartment: clients owned by anyone in the user's department
+ * - otherwise: clients the user owns
+ * Clients explicitly shared with the user are always visible.
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object|null>} MongoDB filter, or null when unrestricted
+ */
+const getClientScope = async (user) => {
+  const permissions = await Role.getPermissions(user.role);
+  if (permissions.includes('clients.viewAll')) {
+    return null;
+  }
+
+  const userId = user.userId;
+  let owners = [userId];
+
+  if (permissions.includes('clients.viewDepartment')) {
+    // Read the department fresh so moving a user between departments applies immediately
+    const current = await User.findById(userId).select('department').lean();
+    if (current?.department) {
+      owners = await User.find({ department: current.department }).distinct('_id');
+    }
+  }
+
+  return {
+    $or: [
+      { ownedBy: { $in: owners } },
+      { sharedWith: userId }
+    ]
+  };
+};
+
+/**
+ * Combine a query with a visibility scope
+ * @param {Object} query - Existing filter
+ * @param {Object|null} scope - Result of getClientScope
+ * @returns {Object} Scoped filter
+ */
+const applyClientScope = (query, scope) => {
+  if (!scope) {
+    return query;
+  }
+  if (!query || Object.keys(query).length === 0) {
+    return scope;
+  }
+  return { $and: [query, scope] };
+};
+
+/**
+ * Find a single client if it is visible to the user
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} clientId - Client ID
+ * @returns {Promise<Object|null>} Client document, or null if missing or out of scope
+ */
+const findAccessibleClient = async (user, clientId) => {
+  const scope = await getClientScope(user);
+  return Client.findOne(applyClientScope({ _id: clientId }, scope));
+};
+
+/**
+ * Aggregation stages keeping only records of a related collection whose client is
+ * visible to the user (and not in the trash). Joins each record to its client instead of
+ * listing every visible client ID, so the cost doesn't grow with the client count.
+ * $lookup with both localField and pipeline needs MongoDB 5.0 or later.
+ * @param {Object|null} scope - Result of getClientScope
+ * @param {String} [localField='clientId'] - Field holding the client ID
+ * @returns {Array<Object>} Stages to run after the record filter (and sort)
+ */
+const visibleClientStages = (scope, localField = 'clientId') => [
+  {
+    $lookup: {
+      from: Client.collection.name,
+      localField,
+      foreignField: '_id',
+      pipeline: [
+        { $match: applyClientScope({ deletedAt: null }, scope) },
+        { $project: { _id: 1 } }
+      ],
+      as: '_visibleClient'
+    }
+  },
+  { $match: { '_visibleClient.0': { $exists: true } } },
+  { $project: { _visibleClient: 0 } }
+];
+
+module.exports = {
+  getClientScope,
+  applyClientScope,
+  findAccessibleClient,
+  visibleClientStages
+};
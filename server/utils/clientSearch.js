@@ -0,0 +1,123 @@
+/**
+ * Client full-text search shared by listing, export and Client.searchClients.
+ * Backed by the weighted text index on the Client model (see CLIENT_SEARCH_WEIGHTS).
+ */
+
+// Fields in the client text index and their relevance weights
+const CLIENT_SEARCH_WEIGHTS = {
+  name: 10,
+  fullName: 8,
+  email: 6,
+  city: 3,
+  description: 2,
+  lastNote: 1
+};
+
+const CLIENT_SEARCH_FIELDS = Object.keys(CLIENT_SEARCH_WEIGHTS);
+
+// Longest search string and most terms accepted from a user
+const MAX_SEARCH_LENGTH = 200;
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Escape a user-provided string for literal use inside a RegExp
+ * @param {String} value - Raw input
+ * @returns {String} Escaped pattern
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split user input into plain search terms
+ * Quotes and leading dashes are dropped so input can't form $text phrases or negations
+ * @param {String} search - Raw search string
+ * @returns {Array<String>} Terms (lowercased, de-duplicated)
+ */
+const tokenizeSearch = (search) => {
+  const terms = String(search || '')
+    .slice(0, MAX_SEARCH_LENGTH)
+    .toLowerCase()
+    .replace(/["\\]/g, ' ')
+    .split(/\s+/)
+    .map(term => term.replace(/^-+/, ''))
+    .filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Build the MongoDB filter for a client search
+ * @param {String} search - Raw search string
+ * @returns {Object|null} `$text` filter, or null when there is nothing to search for
+ */
+const buildClientSearchFilter = (search) => {
+  const terms = tokenizeSearch(search);
+  if (terms.length === 0) {
+    return null;
+  }
+  return { $text: { $search: terms.join(' ') } };
+};
+
+/**
+ * Projection and sort ranking results by text score
+ */
+const relevanceProjection = { searchScore: { $meta: 'textScore' } };
+const relevanceSort = { searchScore: { $meta: 'textScore' } };
+
+/**
+ * Find where the search terms appear in a client's searchable fields
+ * The text index also matches stemmed forms, so a match may have no highlight
+ * @param {Object} client - Client document or plain object
+ * @param {String} search - Raw search string
+ * @returns {Array<Object>} [{ field, value, ranges: [[start, end], ...] }] in weight order
+ */
+const highlightClientMatches = (client, search) => {
+  const terms = tokenizeSearch(search);
+  if (terms.length === 0) {
+    return [];
+  }
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+
+  const highlights = [];
+  for (const field of CLIENT_SEARCH_FIELDS) {
+    const value = client[field];
+    if (typeof value !== 'string' || !value) {
+      continue;
+    }
+    const ranges = [];
+    for (const match of value.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+    if (ranges.length > 0) {
+      highlights.push({ field, value, ranges });
+    }
+  }
+  return highlights;
+};
+
+/**
+ * Serialize search results with their relevance score and highlights
+ * @param {Array<Object>} clients - Client documents found with relevanceProjection
+ * @param {String} search - Raw search string
+ * @returns {Array<Object>} Plain client objects with `searchScore` and `searchHighlights`
+ */
+const withSearchHighlights = (clients, search) => {
+  return clients.map((client) => {
+    const plain = typeof client.toJSON === 'function' ? client.toJSON() : client;
+    return {
+      ...plain,
+      searchScore: client.get ? client.get('searchScore') : client.searchScore,
+      searchHighlights: highlightClientMatches(plain, search)
+    };
+  });
+};
+
+module.exports = {
+  CLIENT_SEARCH_WEIGHTS,
+  CLIENT_SEARCH_FIELDS,
+  escapeRegex,
+  tokenizeSearch,
+  buildClientSearchFilter,
+  relevanceProjection,
+  relevanceSort,
+  highlightClientMatches,
+  withSearchHighlights
+};
@@ -0,0 +1,72 @@
+/**
+ * Client contact persons: roles and the CSV import columns that create them.
+ *
+ * Import columns are "Contact <field>" for the first contact and "Contact <n> <field>"
+ * for more, e.g. "Contact 2 Email". Fields are name, title, email, phone, role and primary.
+ */
+
+const CONTACT_ROLES = ['buyer', 'owner', 'accounts_payable', 'billing', 'technical', 'decision_maker', 'other'];
+
+// Contacts read from a single CSV row
+const MAX_IMPORT_CONTACTS = 10;
+
+const CONTACT_COLUMN_PATTERN = /^contact\s*(\d+)?\s+(name|title|email|phone|role|primary)$/;
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+/**
+ * Match a normalized CSV header to a contact column
+ * @param {String} header - Header normalized by the importer (lowercase, single spaces)
+ * @returns {Object|null} { index, field } (index starts at 1), or null when not a contact column
+ */
+const parseContactColumn = (header) => {
+  const match = CONTACT_COLUMN_PATTERN.exec(header);
+  if (!match) {
+    return null;
+  }
+  const index = match[1] ? parseInt(match[1], 10) : 1;
+  if (index < 1 || index > MAX_IMPORT_CONTACTS) {
+    return null;
+  }
+  return { index, field: match[2] };
+};
+
+/**
+ * Normalize a free-text role ("Accounts Payable", "AP") to a contact role
+ * @param {String} value - Raw role
+ * @returns {String} One of CONTACT_ROLES ('other' when unrecognized)
+ */
+const normalizeContactRole = (value) => {
+  const role = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (CONTACT_ROLES.includes(role)) return role;
+  if (role === 'ap' || role === 'payables') return 'accounts_payable';
+  return 'other';
+};
+
+/**
+ * Turn the contact columns collected from a CSV row into contact data
+ * @param {Object} columns - { [index]: { name, title, email, phone, role, primary } } raw strings
+ * @returns {Array<Object>} Contacts with a name or email, in column order (invalid emails are dropped)
+ */
+const contactsFromColumns = (columns) => {
+  return Object.keys(columns || {})
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(index => columns[index])
+    .filter(raw => raw.name || EMAIL_PATTERN.test(raw.email || ''))
+    .map(raw => ({
+      name: (raw.name || raw.email).slice(0, 200),
+      title: raw.title ? raw.title.slice(0, 100) : undefined,
+      email: EMAIL_PATTERN.test(raw.email || '') ? raw.email.toLowerCase() : undefined,
+      phone: raw.phone ? raw.phone.slice(0, 50) : undefined,
+      role: normalizeContactRole(raw.role),
+      isPrimary: ['true', 'yes', 'y', '1', 'x'].includes(String(raw.primary || '').trim().toLowerCase())
+    }));
+};
+
+module.exports = {
+  CONTACT_ROLES,
+  parseContactColumn,
+  normalizeContactRole,
+  contactsFromColumns
+};
@@ -1,5 +1,7 @@
 const { format } = require('fast-csv');
 const { Writable } = require('stream');
+const { formatCustomFieldValue } = require('./customFields');
+const { formatAddress, findDefaultAddress } = require('./addresses');
 
 /**
  * Generate CSV string from data array
@@ -130,7 +132,9 @@ const generateClientsCSV = async (clients, options = {}) => {
     dateFormat = 'ISO',
     includeOwnerDetails = true,
     includeFinancials = true,
-    includeStatusHistory = false
+    includeStatusHistory = false,
+    customFields = [], // Custom field definitions to add as columns
+    columns // Optional list of client fields to keep (e.g. a saved view's columns)
   } = options;
 
   const headers = [
@@ -145,8 +149,25 @@ const generateClientsCSV = async (clients, options = {}) => {
     { field: 'city', label: 'City' },
     { field: 'state', label: 'State' },
     { field: 'postalCode', label: 'Postal Code' },
+    {
+      field: 'addresses',
+      key: 'country',
+      label: 'Country',
+      transform: (value) => findDefaultAddress(value, 'billing')?.country || ''
+    },
+    {
+      field: 'addresses',
+      key: 'shippingAddress',
+      label: 'Shipping Address',
+      transform: (value) => formatAddress(findDefaultAddress(value, 'shipping'))
+    },
     { field: 'website', label: 'Website' },
-    { field: 'facebookPage', label: 'Facebook Page' }
+    { field: 'facebookPage', label: 'Facebook Page' },
+    {
+      field: 'tags',
+      label: 'Tags',
+      transform: (value) => Array.isArray(value) ? value.join('; ') : ''
+    }
   ];
 
   if (includeOwnerDetails) {
@@ -216,6 +237,24 @@ const generateClientsCSV = async (clients, options = {}) => {
     });
   }
 
+  // One column per custom field; `key` lets views pick them as "customFields.<key>"
+  customFields.forEach(definition => {
+    headers.push({
+      field: 'customFields',
+      key: `customFields.${definition._id}`,
+      label: definition.label,
+      transform: (value) => {
+        const stored = value ? value[definition._id] : undefined;
+        return definition.type === 'date' ? formatDate(stored, dateFormat) : formatCustomFieldValue(stored);
+      }
+    });
+  });
+
+  if (Array.isArray(columns) && columns.length > 0) {
+    const kept = headers.filter(header => columns.includes(header.key || header.field));
+    return generateCSVWithHeaders(clients, kept.length > 0 ? kept : headers);
+  }
+
   return generateCSVWithHeaders(clients, headers);
 };
 
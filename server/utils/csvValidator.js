@@ -1,5 +1,7 @@
 const User = require('../models/User');
+const Role = require('../models/Role');
 const mongoose = require('mongoose');
+const { validateCustomFieldValues } = require('./customFields');
 
 /**
  * Validate email format
@@ -148,12 +150,11 @@ const validateUserData = async (userData, rowNumber = 0) => {
     validatedData.password = userData.password;
   }
 
-  // Validate role (required)
-  const validRoles = ['admin', 'manager', 'employee'];
+  // Validate role (required, must be one of the configured roles)
   if (!userData.role) {
     errors.push('Role is required');
-  } else if (!validRoles.includes(userData.role.toLowerCase())) {
-    errors.push(`Role must be one of: ${validRoles.join(', ')}`);
+  } else if (!(await Role.findCached(userData.role.toLowerCase()))) {
+    errors.push(`Role "${userData.role}" does not exist`);
   } else {
     validatedData.role = userData.role.toLowerCase();
   }
@@ -216,9 +217,10 @@ const validateUserData = async (userData, rowNumber = 0) => {
  * Validate client data for CSV import
  * @param {Object} clientData - Client data to validate
  * @param {Number} rowNumber - Row number in CSV
+ * @param {Object} options - { customFields: custom field definitions }
  * @returns {Object} Validation result
  */
-const validateClientData = async (clientData, rowNumber = 0) => {
+const validateClientData = async (clientData, rowNumber = 0, options = {}) => {
   const errors = [];
   const warnings = [];
   const validatedData = {};
@@ -377,6 +379,16 @@ const validateClientData = async (clientData, rowNumber = 0) => {
     }
   });
 
+  // Validate custom field columns; blank cells leave the stored value alone
+  if (clientData.customFields) {
+    const custom = validateCustomFieldValues(clientData.customFields, options.customFields || [], { partial: true });
+    custom.errors.forEach(error => errors.push(error.msg));
+    const values = Object.fromEntries(Object.entries(custom.values).filter(([, value]) => value !== null));
+    if (Object.keys(values).length > 0) {
+      validatedData.customFields = values;
+    }
+  }
+
   // Check for duplicate based on name and email combination
   if (validatedData.name && validatedData.email) {
     try {
@@ -478,12 +490,13 @@ const batchValidateUsers = async (usersData) => {
 /**
  * Batch validate client data
  * @param {Array} clientsData - Array of client data objects
+ * @param {Object} options - Passed to validateClientData
  * @returns {Promise<Object>} Batch validation result
  */
-const batchValidateClients = async (clientsData) => {
+const batchValidateClients = async (clientsData, options = {}) => {
   const results = await Promise.all(
     clientsData.map((clientData, index) => 
-      validateClientData(clientData.data || clientData, clientData.rowNumber || index + 1)
+      validateClientData(clientData.data || clientData, clientData.rowNumber || index + 1, options)
     )
   );
 
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor (keyset) pagination shared by the client, user and activity lists.
+ *
+ * A cursor is an opaque token holding the sort field, sort order, the sort value and
+ * `_id` of the record at the page edge, and the direction to read in. Pages are read
+ * with a range query on (sort field, _id) instead of skip, so deep pages stay fast and
+ * records changing between requests don't cause duplicates or gaps.
+ */
+
+/**
+ * Encode a cursor for a record at a page edge
+ * @param {Object} doc - Document at the edge
+ * @param {Object} options - { sortBy, sortOrder, direction: 'next' | 'prev' }
+ * @returns {String} Opaque cursor
+ */
+const encodeCursor = (doc, { sortBy, sortOrder, direction }) => {
+  const value = sortBy === '_id' ? doc._id : (typeof doc.get === 'function' ? doc.get(sortBy) : doc[sortBy]);
+  const id = doc._id;
+
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: String(id)
+  };
+  if (value instanceof Date) payload.vt = 'date';
+  if (value instanceof mongoose.Types.ObjectId) payload.vt = 'oid';
+  if (id instanceof mongoose.Types.ObjectId) payload.it = 'oid';
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {String} cursor - Token from a previous response
+ * @param {Array<String>} sortFields - Sort fields allowed for the list
+ * @returns {Object} { sortBy, sortOrder, direction, value, id }
+ * @throws {Error} When the cursor is malformed or doesn't belong to this list
+ */
+const decodeCursor = (cursor, sortFields) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('Invalid cursor');
+  }
+
+  const valueType = payload?.v === null ? 'null' : typeof payload?.v;
+  const valid = !!payload && typeof payload === 'object' &&
+    sortFields.includes(payload.s) &&
+    ['asc', 'desc'].includes(payload.o) &&
+    ['next', 'prev'].includes(payload.d) &&
+    typeof payload.id === 'string' &&
+    ['string', 'number', 'boolean', 'null'].includes(valueType);
+  if (!valid) {
+    throw new Error('Invalid cursor');
+  }
+
+  const revive = (raw, type) => {
+    if (type === 'date') {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) throw new Error('Invalid cursor');
+      return date;
+    }
+    if (type === 'oid') {
+      if (!mongoose.Types.ObjectId.isValid(raw)) throw new Error('Invalid cursor');
+      return new mongoose.Types.ObjectId(raw);
+    }
+    return raw;
+  };
+
+  return {
+    sortBy: payload.s,
+    sortOrder: payload.o,
+    direction: payload.d,
+    value: payload.v === null ? null : revive(payload.v, payload.vt),
+    id: revive(payload.id, payload.it)
+  };
+};
+
+/**
+ * express-validator custom validator factory for a `cursor` parameter
+ * @param {Array<String>} sortFields - Sort fields allowed for the list
+ * @returns {Function} Validator
+ */
+const cursorCheck = (sortFields) => (value) => {
+  decodeCursor(value, sortFields);
+  return true;
+};
+
+/**
+ * Build the filter selecting records after the cursor position in the read order
+ * Missing/null values sort before everything else in MongoDB
+ * @param {Object} position - { sortBy, value, id }
+ * @param {Number} readDir - 1 (ascending) or -1 (descending) read order
+ * @returns {Object} MongoDB filter
+ */
+const afterPosition = ({ sortBy, value, id }, readDir) => {
+  const idOp = readDir === 1 ? '$gt' : '$lt';
+
+  if (sortBy === '_id') {
+    return { _id: { [idOp]: id } };
+  }
+
+  if (value === null) {
+    return readDir === 1
+      ? { $or: [{ [sortBy]: { $ne: null } }, { [sortBy]: null, _id: { $gt: id } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [sortBy]: { [idOp]: value } },
+    { [sortBy]: value, _id: { [idOp]: id } }
+  ];
+  if (readDir === -1) {
+    conditions.push({ [sortBy]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Find one page of records in cursor mode
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - Filter for the whole list
+ * @param {Object} options
+ * @param {String} options.sortBy - Sort field (ignored when a cursor is given)
+ * @param {String} options.sortOrder - 'asc' or 'desc' (ignored when a cursor is given)
+ * @param {Number} options.limit - Page size
+ * @param {String} [options.cursor] - Cursor from a previous response
+ * @param {Array<String>} options.sortFields - Sort fields allowed for the list
+ * @param {Boolean} [options.includeTotal] - Also count the whole list
+ * @param {Function} [options.prepare] - Adds populate/select to the find query
+ * @param {Array<Object>} [options.stages] - Aggregation stages that narrow the list further
+ *   (e.g. a join on a related collection). The page is then read with aggregate, so
+ *   `query` must hold cast values and `prepare` is not used
+ * @param {Array|Object|String} [options.populate] - Paths to populate in aggregate mode
+ * @returns {Promise<Object>} { items, pagination }
+ */
+const findCursorPage = async (Model, query, options) => {
+  const { limit, includeTotal = false, prepare = q => q, stages = [], populate = [] } = options;
+
+  // The cursor carries the sort so every page is read in the same order
+  const position = options.cursor ? decodeCursor(options.cursor, options.sortFields) : null;
+  const sortBy = position ? position.sortBy : options.sortBy;
+  const sortOrder = position ? position.sortOrder : options.sortOrder;
+  const direction = position ? position.direction : 'next';
+
+  const sortDir = sortOrder === 'asc' ? 1 : -1;
+  // Reading backwards walks the list in reverse and flips the page afterwards
+  const readDir = direction === 'prev' ? -sortDir : sortDir;
+
+  const filter = position
+    ? { $and: [query, afterPosition(position, readDir)] }
+    : query;
+  const sort = sortBy === '_id' ? { _id: readDir } : { [sortBy]: readDir, _id: readDir };
+
+  const readPage = async () => {
+    if (stages.length === 0) {
+      return prepare(Model.find(filter)).sort(sort).limit(limit + 1);
+    }
+    // Sorting before the extra stages lets the sort index stream until the page is full
+    const raw = await Model.aggregate([{ $match: filter }, { $sort: sort }, ...stages, { $limit: limit + 1 }]);
+    return Model.populate(raw.map(doc => Model.hydrate(doc)), populate);
+  };
+  const countAll = async () => {
+    if (stages.length === 0) {
+      return Model.countDocuments(query);
+    }
+    const [result] = await Model.aggregate([{ $match: query }, ...stages, { $count: 'total' }]);
+    return result ? result.total : 0;
+  };
+
+  const [docs, totalCount] = await Promise.all([
+    readPage(),
+    includeTotal ? countAll() : Promise.resolve(undefined)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  // Coming from a cursor means there are records on the side we came from
+  const hasNextPage = direction === 'next' ? hasMore : !!position;
+  const hasPrevPage = direction === 'prev' ? hasMore : !!position;
+  const cursorFor = (doc, edgeDirection) => encodeCursor(doc, { sortBy, sortOrder, direction: edgeDirection });
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      pageSize: limit,
+      sortBy,
+      sortOrder,
+      nextCursor: hasNextPage && items.length > 0 ? cursorFor(items[items.length - 1], 'next') : null,
+      prevCursor: hasPrevPage && items.length > 0 ? cursorFor(items[0], 'prev') : null,
+      hasNextPage,
+      hasPrevPage,
+      ...(includeTotal && { totalCount })
+    }
+  };
+};
+
+/**
+ * Whether a list request asked for cursor mode (`paginate=cursor` or any `cursor`)
+ * @param {Object} query - req.query
+ * @returns {Boolean}
+ */
+const wantsCursorPagination = (query) => query.paginate === 'cursor' || query.cursor !== undefined;
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorCheck,
+  findCursorPage,
+  wantsCursorPagination
+};
@@ -0,0 +1,192 @@
+/**
+ * Admin-defined custom client fields.
+ *
+ * Definitions live in the CustomField collection; values are stored on the client under
+ * `customFields.<key>`. Values are coerced to the field type here, so CSV and form input
+ * ("42", "yes", "Gold; Silver") is accepted alongside JSON types.
+ */
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi-select', 'boolean'];
+
+// Filter language type used for each custom field type (see utils/clientFilter.js)
+const CUSTOM_FIELD_FILTER_TYPES = {
+  text: 'string',
+  select: 'string',
+  number: 'number',
+  date: 'date',
+  boolean: 'boolean',
+  'multi-select': 'array'
+};
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 100;
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+// Match a submitted option case-insensitively and return the defined spelling
+const matchOption = (value, definition) => {
+  const wanted = String(value).trim().toLowerCase();
+  const option = (definition.options || []).find(o => o.toLowerCase() === wanted);
+  if (option === undefined) {
+    throw new Error(`${definition.label} must be one of: ${definition.options.join(', ')}`);
+  }
+  return option;
+};
+
+/**
+ * Coerce one value to a custom field's type
+ * @param {Object} definition - Custom field definition ({ _id, label, type, options })
+ * @param {*} value - Submitted value (not blank)
+ * @returns {*} Value to store
+ * @throws {Error} With a user-facing message when the value doesn't fit the type
+ */
+const coerceCustomFieldValue = (definition, value) => {
+  const { label, type } = definition;
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${label} must be a number`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = value instanceof Date || typeof value === 'string' || typeof value === 'number'
+        ? new Date(value)
+        : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new Error(`${label} must be a valid date`);
+      }
+      return date;
+    }
+    case 'boolean': {
+      const normalized = String(value).trim().toLowerCase();
+      if (value === true || ['true', 'yes', 'y', '1'].includes(normalized)) return true;
+      if (value === false || ['false', 'no', 'n', '0'].includes(normalized)) return false;
+      throw new Error(`${label} must be true or false`);
+    }
+    case 'select':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`${label} must be a single option`);
+      }
+      return matchOption(value, definition);
+    case 'multi-select': {
+      // CSV cells list several options separated by commas or semicolons
+      const items = typeof value === 'string' ? value.split(/[;,]/) : value;
+      if (!Array.isArray(items)) {
+        throw new Error(`${label} must be a list of options`);
+      }
+      const selected = items
+        .filter(item => !isBlank(item))
+        .map(item => matchOption(item, definition));
+      return [...new Set(selected)];
+    }
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`${label} must be text`);
+      }
+      if (String(value).length > MAX_TEXT_LENGTH) {
+        throw new Error(`${label} cannot exceed ${MAX_TEXT_LENGTH} characters`);
+      }
+      return String(value).trim();
+  }
+};
+
+/**
+ * Validate submitted custom field values against the definitions
+ * @param {Object} values - Submitted values keyed by custom field key
+ * @param {Array<Object>} definitions - All custom field definitions
+ * @param {Object} [options]
+ * @param {Boolean} [options.partial] - Only check the keys submitted (updates); otherwise
+ *   every required field must have a value
+ * @returns {Object} { values, errors } - blank values come back as null; errors use the
+ *   express-validator shape ({ path, msg })
+ */
+const validateCustomFieldValues = (values, definitions, { partial = false } = {}) => {
+  const errors = [];
+  const result = {};
+
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { values: result, errors: [{ path: 'customFields', msg: 'Custom fields must be an object' }] };
+  }
+  const submitted = values || {};
+  const byKey = new Map(definitions.map(definition => [definition._id, definition]));
+
+  for (const key of Object.keys(submitted)) {
+    if (!byKey.has(key)) {
+      errors.push({ path: `customFields.${key}`, msg: `Unknown custom field "${key}"` });
+    }
+  }
+
+  for (const definition of definitions) {
+    const key = definition._id;
+    const provided = Object.prototype.hasOwnProperty.call(submitted, key);
+    if (partial && !provided) {
+      continue;
+    }
+
+    const value = submitted[key];
+    if (isBlank(value)) {
+      if (definition.required) {
+        errors.push({ path: `customFields.${key}`, msg: `${definition.label} is required` });
+      } else if (provided) {
+        result[key] = null;
+      }
+      continue;
+    }
+
+    try {
+      const coerced = coerceCustomFieldValue(definition, value);
+      if (definition.required && isBlank(coerced)) {
+        errors.push({ path: `customFields.${key}`, msg: `${definition.label} is required` });
+        continue;
+      }
+      result[key] = coerced;
+    } catch (e) {
+      errors.push({ path: `customFields.${key}`, msg: e.message });
+    }
+  }
+
+  return { values: result, errors };
+};
+
+/**
+ * Format a stored custom field value for CSV output
+ * @param {*} value - Stored value
+ * @returns {String}
+ */
+const formatCustomFieldValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * Map CSV headers to custom field keys (by label or key)
+ * @param {Array<Object>} definitions - Custom field definitions
+ * @param {Function} normalize - Header normalizer used by the importer
+ * @returns {Map<String, String>} Normalized header -> custom field key
+ */
+const buildCustomFieldColumnMap = (definitions, normalize) => {
+  const columns = new Map();
+  for (const definition of definitions) {
+    columns.set(normalize(definition._id), definition._id);
+    columns.set(normalize(definition.label), definition._id);
+  }
+  return columns;
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_FILTER_TYPES,
+  MAX_OPTIONS,
+  coerceCustomFieldValue,
+  validateCustomFieldValues,
+  formatCustomFieldValue,
+  buildCustomFieldColumnMap
+};
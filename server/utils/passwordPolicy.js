@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const Setting = require('../models/Setting');
+
+// Bundled list of common passwords, loaded once
+const COMMON_PASSWORDS_FILE = process.env.COMMON_PASSWORDS_FILE
+  || path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords = null;
+
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    try {
+      commonPasswords = new Set(
+        fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error('Common password list could not be loaded:', error.message);
+      commonPasswords = new Set();
+    }
+  }
+  return commonPasswords;
+};
+
+/**
+ * Check whether a password is on (or a trivial variation of) the common password list
+ * "Summer2024!" counts as "summer": trailing digits and symbols don't make a word safe
+ * @param {String} password - Candidate password
+ * @returns {Boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const lower = String(password).toLowerCase();
+  const stem = lower.replace(/[\d\W_]+$/, '');
+  return list.has(lower) || (stem.length > 0 && list.has(stem));
+};
+
+/**
+ * Read the deployment's password policy (see Setting defaults)
+ * @returns {Promise<Object>} { minLength, requireUppercase, requireLowercase, requireNumber,
+ *   requireSymbol, blockCommonPasswords, historySize, maxAgeDays }
+ */
+const getPasswordPolicy = () => Setting.getValue('passwordPolicy');
+
+/**
+ * Validate a new password against the policy
+ * @param {String} password - Candidate password
+ * @param {Object} policy - Password policy (defaults to the stored one)
+ * @returns {Promise<Array<String>>} Human-readable problems; empty when the password is acceptable
+ */
+const validatePassword = async (password, policy = null) => {
+  const rules = policy || await getPasswordPolicy();
+  const value = String(password || '');
+  const problems = [];
+
+  if (value.length < rules.minLength) {
+    problems.push(`Password must be at least ${rules.minLength} characters long`);
+  }
+  if (value.length > 128) {
+    problems.push('Password cannot exceed 128 characters');
+  }
+  if (rules.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (rules.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (rules.requireNumber && !/\d/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (rules.blockCommonPasswords && isCommonPassword(value)) {
+    problems.push('Password is too common. Please choose a less predictable password');
+  }
+
+  return problems;
+};
+
+/**
+ * Check whether a user's password is older than the policy's maximum age
+ * @param {Object} user - User document
+ * @param {Object} policy - Password policy (defaults to the stored one)
+ * @returns {Promise<Boolean>}
+ */
+const isPasswordExpired = async (user, policy = null) => {
+  const rules = policy || await getPasswordPolicy();
+  if (!rules.maxAgeDays) {
+    return false;
+  }
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+  return Date.now() - new Date(changedAt).getTime() > rules.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * express-validator custom check applying the password policy to a field
+ * Usage: body('password').custom(passwordPolicyCheck)
+ */
+const passwordPolicyCheck = async (value) => {
+  const problems = await validatePassword(value);
+  if (problems.length > 0) {
+    throw new Error(problems.join('. '));
+  }
+  return true;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  isCommonPassword,
+  isPasswordExpired,
+  passwordPolicyCheck
+};
@@ -0,0 +1,112 @@
+/**
+ * Permission catalog. Routes check these names instead of role names; roles
+ * (stored in the Role collection) are just editable bundles of them.
+ */
+const PERMISSIONS = {
+  // Clients
+  'clients.read': 'View clients, pipeline and summaries',
+  'clients.viewAll': 'See every client regardless of owner',
+  'clients.viewDepartment': "See clients owned by anyone in the user's department",
+  'clients.create': 'Create clients',
+  'clients.update': 'Edit clients, change status and add notes',
+  'clients.delete': 'Delete individual clients, view the trash and restore clients',
+  'clients.deleteAll': 'Delete all clients at once',
+  'clients.purge': 'Permanently delete clients from the trash',
+  'clients.bulkUpdate': 'Bulk assign owners and move statuses',
+  'clients.import': 'Import clients from CSV or JSON batches',
+  'clients.export': 'Export clients to CSV',
+  'clients.manageViews': 'Share saved client views with everyone and manage global views',
+  'clients.merge': 'Find duplicate clients and merge them',
+  'clients.customFields': 'Define, edit and delete custom client fields',
+  'clients.manageTags': 'Create, edit and delete tags in the client tag catalog',
+
+  // Activities
+  'activities.read': 'View activities and activity statistics',
+  'activities.create': 'Log activities',
+
+  // Payments
+  'payments.read': 'View payment methods and payment history',
+  'payments.methods': 'Add, remove and set default payment methods',
+  'payments.charge': 'Create and confirm payments',
+  'payments.setup': 'Start card setup and tokenize payment methods',
+
+  // Users
+  'users.read': 'View users',
+  'users.update': 'Edit users and change their role',
+  'users.delete': 'Deactivate users',
+  'users.invite': 'Invite users and manage invitations',
+  'users.import': 'Import users from CSV',
+  'users.export': 'Export users to CSV',
+  'users.security': 'Manage user sessions, lockouts, two-factor resets and the auth audit trail',
+  'users.impersonate': 'Sign in as another user to see what they see',
+
+  // Administration
+  'roles.manage': 'Create, edit and delete roles',
+  'settings.manage': 'Change deployment-wide settings'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Default roles matching the original hard-coded admin/manager/employee behaviour
+const DEFAULT_ROLES = [
+  {
+    _id: 'admin',
+    name: 'Admin',
+    description: 'Full access to everything',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    _id: 'manager',
+    name: 'Manager',
+    description: 'Manages clients, payments and their team',
+    permissions: [
+      'clients.read',
+      'clients.viewDepartment',
+      'clients.create',
+      'clients.update',
+      'clients.delete',
+      'clients.deleteAll',
+      'clients.bulkUpdate',
+      'clients.import',
+      'clients.export',
+      'clients.manageViews',
+      'clients.merge',
+      'activities.read',
+      'activities.create',
+      'payments.read',
+      'payments.methods',
+      'payments.charge',
+      'payments.setup',
+      'users.read',
+      'users.invite',
+      'users.export'
+    ]
+  },
+  {
+    _id: 'employee',
+    name: 'Employee',
+    description: 'Works with clients day to day',
+    permissions: [
+      'clients.read',
+      'clients.create',
+      'clients.update',
+      'activities.read',
+      'activities.create',
+      'payments.read',
+      'payments.setup'
+    ]
+  }
+];
+
+// Role every account created without an explicit role receives
+const DEFAULT_ROLE = 'employee';
+// Role that always holds every permission and cannot be edited or deleted
+const SUPER_ROLE = 'admin';
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  DEFAULT_ROLE,
+  SUPER_ROLE
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token for emailed links
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} Hex-encoded token
+ */
+const generateToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a raw token for storage and lookup (only the hash is persisted)
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateToken,
+  hashToken
+};
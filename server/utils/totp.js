@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (30 second steps, 6 digits, SHA-1)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding/spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input || '').toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32-encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the time step for a timestamp
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step counter
+ */
+const getStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+/**
+ * Generate the code for a secret at a given time step (RFC 4226 HOTP)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ * @returns {String} Zero-padded numeric code
+ */
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift of +/- window steps
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window, afterStep } where afterStep rejects replayed codes
+ * @returns {Number|null} Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const { window = 1, afterStep = null } = options;
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (afterStep != null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps (and encoded in the QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  getStep
+};